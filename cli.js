@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+// cli.js - Headless batch extraction: the same pipeline as the server, run
+// over files and folders, with an export file and a summary report
+// (for nightly imports from a shared drive via cron)
+import './lib/env.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { listProfiles } from './lib/profiles.js';
+import { loadTaxonomy } from './lib/categories.js';
+import { loadConditions } from './lib/conditions.js';
+import { loadValidationRules } from './lib/validation.js';
+import { openStore } from './lib/store.js';
+import { loadClassifier } from './lib/classifier.js';
+import { EXPORT_FORMATS, toCsv, toXlsx, toJsonPayload } from './lib/export.js';
+import { DEFAULT_EXTRACTOR } from './lib/extractors/index.js';
+import { expandArchives } from './lib/archive.js';
+import { DATE_LOCALE, QUANTITY_MODE, TARGET_FIELDS, extractFiles, buildExtractionResponse } from './lib/pipeline.js';
+
+// 0: everything extracted cleanly. 1: validation errors or files that
+// failed. 2: bad arguments, or nothing could be processed
+const EXIT_OK = 0;
+const EXIT_ISSUES = 1;
+const EXIT_FAILED = 2;
+
+const USAGE = `Usage: node cli.js <file or folder>... [options]
+
+Extracts inventory items from spreadsheets, CSV files, PDFs, images and ZIP
+archives. Folders are read recursively.
+
+Options:
+  -o, --out <file>          Export file (default: inventory-YYYY-MM-DD.<format>)
+  -f, --format <format>     ${Object.keys(EXPORT_FORMATS).join(', ')} (default: from --out, else xlsx)
+  -p, --profile <name>      Saved mapping profile to apply to every table
+  -r, --report <file>       Summary report, JSON (default: <out>.report.json)
+      --project <name>      Project for files that don't name one
+      --company <name>      Company whose category overrides apply
+      --date-locale <name>  auto, a locale like es or en-US, DMY or MDY (default: ${DATE_LOCALE})
+      --quantity-mode <m>   field or explode (default: ${QUANTITY_MODE})
+      --extractor <name>    auto, local, azure, fixture or tesseract (default: ${DEFAULT_EXTRACTOR})
+      --group-by <field>    XLSX sheets per project or category (default: project)
+  -h, --help                Show this help
+
+Exit codes: 0 success, 1 validation errors or failed files, 2 nothing processed`;
+
+const OPTIONS = {
+  out: { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f' },
+  profile: { type: 'string', short: 'p' },
+  report: { type: 'string', short: 'r' },
+  project: { type: 'string' },
+  company: { type: 'string' },
+  'date-locale': { type: 'string' },
+  'quantity-mode': { type: 'string' },
+  extractor: { type: 'string' },
+  'group-by': { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+async function main(argv) {
+  let args;
+  try {
+    args = readArguments(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    return EXIT_FAILED;
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  const report = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    inputs: args.inputs,
+    profile: args.profile,
+    output: null,
+    exitCode: null
+  };
+
+  try {
+    // Same configuration as the server, so results match an upload
+    loadTaxonomy();
+    loadConditions();
+    loadValidationRules();
+    await openStore();
+    await loadClassifier();
+
+    const profile = args.profile ? await findProfile(args.profile) : null;
+    const files = await readInputs(args.inputs);
+    if (files.length === 0) {
+      console.log('📭 No files to process');
+      return await finish(report, args, { exitCode: EXIT_OK, files: [] });
+    }
+
+    console.log(`📂 Processing ${files.length} file(s)`);
+    const extraction = await extractFiles(
+      { files, name: files.length === 1 ? files[0].filename : `${files.length} files` },
+      { ...args.options, profile },
+      (stage, message) => console.log(`   ${message}`)
+    );
+    const result = buildExtractionResponse(extraction);
+
+    const body = args.format === 'csv' ? toCsv(result.extractedItems, TARGET_FIELDS) :
+      args.format === 'xlsx' ? toXlsx(result.extractedItems, TARGET_FIELDS, { groupBy: args.groupBy }) :
+      JSON.stringify(toJsonPayload(result.extractedItems, TARGET_FIELDS), null, 2);
+    await fs.mkdir(path.dirname(path.resolve(args.out)), { recursive: true });
+    await fs.writeFile(args.out, body);
+    report.output = { path: args.out, format: args.format, items: result.totalItems };
+
+    const failed = result.files.some(file => file.status !== 'processed');
+    return await finish(report, args, {
+      exitCode: failed || result.validation.errors > 0 ? EXIT_ISSUES : EXIT_OK,
+      files: result.files,
+      summary: result.summary,
+      reconciliation: result.reconciliation,
+      validation: result.validation,
+      issues: listIssues(result.extractedItems)
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return await finish(report, args, { exitCode: EXIT_FAILED, error: error.message });
+  }
+}
+
+// Arguments checked up front, so a typo fails before any file is read
+function readArguments(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  if (values.help) return { help: true };
+  if (positionals.length === 0) {
+    throw new Error('No file or folder given');
+  }
+
+  const extension = values.out ? path.extname(values.out).slice(1).toLowerCase() : '';
+  const format = (values.format || (EXPORT_FORMATS[extension] ? extension : 'xlsx')).toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Unsupported format "${values.format}" - use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  const groupBy = values['group-by'] || 'project';
+  if (!['project', 'category'].includes(groupBy)) {
+    throw new Error(`Unsupported grouping "${groupBy}" - use project or category`);
+  }
+  const quantityMode = values['quantity-mode'] || QUANTITY_MODE;
+  if (!['field', 'explode'].includes(quantityMode)) {
+    throw new Error(`Unsupported quantity mode "${quantityMode}" - use field or explode`);
+  }
+
+  const out = values.out || `inventory-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+  return {
+    inputs: positionals,
+    out,
+    report: values.report || `${out.slice(0, out.length - path.extname(out).length)}.report.json`,
+    format,
+    groupBy,
+    profile: values.profile || null,
+    options: {
+      project: (values.project || '').trim() || null,
+      company: (values.company || '').trim() || null,
+      dateLocale: (values['date-locale'] || '').trim() || DATE_LOCALE,
+      quantityMode,
+      extractor: values.extractor || DEFAULT_EXTRACTOR
+    }
+  };
+}
+
+async function findProfile(name) {
+  const profiles = await listProfiles();
+  const profile = profiles.find(candidate => candidate.name === name);
+  if (!profile) {
+    const available = profiles.map(candidate => candidate.name).join(', ') || 'none saved';
+    throw new Error(`Unknown mapping profile "${name}" - available: ${available}`);
+  }
+  return profile;
+}
+
+// Every file under the inputs, as uploads ({ buffer, filename }), with .zip
+// archives unpacked. Files found in a folder are named by their path from
+// it ("torre-norte/inventario.csv"), like files in an archive. Hidden files
+// and Office lock files (~$name.xlsx) are skipped; anything else no
+// extractor can read is reported as failed
+async function readInputs(inputs) {
+  const paths = [];
+  for (const input of inputs) {
+    const stats = await fs.stat(input).catch(() => null);
+    if (!stats) throw new Error(`${input} does not exist`);
+    if (stats.isDirectory()) {
+      const parent = path.dirname(path.resolve(input));
+      const found = await listFolder(input);
+      paths.push(...found.map(filePath => ({ filePath, filename: path.relative(parent, path.resolve(filePath)).split(path.sep).join('/') })));
+    } else {
+      paths.push({ filePath: input, filename: path.basename(input) });
+    }
+  }
+
+  const files = [];
+  for (const { filePath, filename } of paths) {
+    files.push({ buffer: await fs.readFile(filePath), filename });
+  }
+  return expandArchives(files);
+}
+
+async function listFolder(folder) {
+  const entries = await fs.readdir(folder, { withFileTypes: true });
+  const paths = [];
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    if (entry.name.startsWith('.') || entry.name.startsWith('~$')) continue;
+    const entryPath = path.join(folder, entry.name);
+    if (entry.isDirectory()) paths.push(...await listFolder(entryPath));
+    else if (entry.isFile()) paths.push(entryPath);
+  }
+  return paths;
+}
+
+// One line per validation issue, so the report says which row to fix
+function listIssues(items) {
+  return items.flatMap(item => (item.validationIssues || []).map(issue => ({
+    severity: issue.severity,
+    ...(issue.rule && { rule: issue.rule }),
+    field: issue.field,
+    message: issue.message,
+    itemId: item.id,
+    itemName: item.itemName,
+    ...(item.sourceFile && { sourceFile: item.sourceFile }),
+    ...(item.sheetName !== undefined && { sheetName: item.sheetName }),
+    ...(item.sourcePage !== null && { sourcePage: item.sourcePage })
+  })));
+}
+
+// Write the report and print its summary. The report is written whatever
+// happened, so a cron job leaves a record of failed runs too
+async function finish(report, args, outcome) {
+  Object.assign(report, outcome, { finishedAt: new Date().toISOString() });
+  await fs.mkdir(path.dirname(path.resolve(args.report)), { recursive: true });
+  await fs.writeFile(args.report, JSON.stringify(report, null, 2));
+  printSummary(report, args);
+  return report.exitCode;
+}
+
+function printSummary(report, args) {
+  const { files = [], summary, validation, reconciliation } = report;
+  files.forEach(file => {
+    const where = file.archive ? `${file.archive}/${file.filename}` : file.filename;
+    if (file.status === 'processed') {
+      console.log(`✅ ${where}: ${file.totalItems} item(s), project ${file.projectName}`);
+    } else {
+      console.log(`❌ ${where}: ${file.error}`);
+    }
+  });
+
+  if (summary) {
+    const value = Object.entries(summary.totalValue).map(([currency, amount]) => `${amount} ${currency}`).join(', ');
+    console.log(`📦 ${summary.totalItems} item(s), quantity ${summary.totalQuantity}${value ? `, value ${value}` : ''}`);
+  }
+  if (reconciliation) {
+    console.log(`🔁 Against the inventory store: ${Object.entries(reconciliation).map(([status, count]) => `${count} ${status.replace('_', ' ')}`).join(', ')}`);
+  }
+  if (validation) {
+    const icon = validation.errors > 0 ? '❌' : validation.warnings > 0 ? '⚠️' : '✅';
+    console.log(`${icon} Validation: ${validation.errors} error(s), ${validation.warnings} warning(s) on ${validation.itemsWithIssues} item(s)`);
+  }
+  if (report.output) {
+    console.log(`📤 Wrote ${report.output.items} item(s) to ${report.output.path}`);
+  }
+  console.log(`📝 Report: ${args.report} (exit code ${report.exitCode})`);
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,46 @@
+// lib/archive.js - Unpacking .zip uploads into individual files
+import AdmZip from 'adm-zip';
+import path from 'path';
+
+// Guard against archives that expand to far more than was uploaded
+const MAX_ARCHIVE_FILES = 200;
+const MAX_UNPACKED_BYTES = 200 * 1024 * 1024;
+
+export function isZipFile(filename) {
+  return /\.zip$/i.test(filename || '');
+}
+
+// Replace every .zip among the uploads with the files inside it, named by
+// their path in the archive ("torre-norte/inventario.csv") so files with the
+// same name in different folders stay apart and the folder can name the
+// project. Folders, hidden files and macOS metadata are skipped; nested
+// archives are unpacked. The limits default to MAX_ARCHIVE_FILES and
+// MAX_UNPACKED_BYTES
+export function expandArchives(files, { maxFiles = MAX_ARCHIVE_FILES, maxBytes = MAX_UNPACKED_BYTES } = {}) {
+  const expanded = [];
+  let unpackedBytes = 0;
+
+  const visit = file => {
+    if (!isZipFile(file.filename)) {
+      expanded.push(file);
+      return;
+    }
+
+    new AdmZip(file.buffer).getEntries().forEach(entry => {
+      const name = path.posix.basename(entry.entryName);
+      if (entry.isDirectory || !name || name.startsWith('.') || entry.entryName.startsWith('__MACOSX/')) return;
+
+      const tooLarge = () => new Error(`${file.filename} is too large - at most ${maxFiles} files and ${maxBytes / 1024 / 1024} MB unpacked`);
+      // The size in the entry's header stops an honest large archive before
+      // inflating, but it can lie, so the inflated data is what counts
+      if (expanded.length >= maxFiles || unpackedBytes + entry.header.size > maxBytes) throw tooLarge();
+      const buffer = entry.getData();
+      unpackedBytes += buffer.length;
+      if (unpackedBytes > maxBytes) throw tooLarge();
+      visit({ buffer, filename: entry.entryName, archive: file.filename });
+    });
+  };
+
+  files.forEach(visit);
+  return expanded;
+}
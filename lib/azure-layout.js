@@ -0,0 +1,189 @@
+// lib/azure-layout.js - Tables from an Azure prebuilt-layout AnalyzeResult
+import { detectHeaderRows, normalizeHeader } from './mapping.js';
+import { buildWordIndex, spanConfidence } from './confidence.js';
+import { tableFromText } from './text-items.js';
+
+// Every table in the result, with tables that continue across pages joined,
+// and the text around them. A document without tables (delivery notes,
+// lists) is read line by line instead. Used for live Azure responses and
+// recorded ones alike
+export function tablesFromAnalyzeResult(result) {
+  const azureTables = result.tables || [];
+  const wordIndex = buildWordIndex(result.pages);
+  let tables = stitchTables(azureTables.map((table, index) => processAzureTable(table, index, wordIndex)));
+
+  if (tables.length === 0) {
+    const textTable = tableFromText(textLines(result, wordIndex));
+    if (textTable) {
+      console.log(`📝 No tables found - read ${textTable.rows.length} line item(s) from the text`);
+      tables = [textTable];
+    }
+  }
+
+  return {
+    tables,
+    tablesDetected: azureTables.length,
+    documentText: documentText(result)
+  };
+}
+
+// The document's lines (or paragraphs, when a result has no lines) and
+// key-value pairs, each with its page and OCR confidence
+function textLines(result, wordIndex) {
+  const located = (text, element) => ({
+    text,
+    page: getCellPage(element),
+    confidence: spanConfidence(wordIndex, element.spans)
+  });
+
+  const pageLines = (result.pages || []).flatMap(page =>
+    (page.lines || []).map(line => ({ ...located(line.content || '', line), page: page.pageNumber }))
+  );
+  const lines = pageLines.length > 0 ? pageLines : (result.paragraphs || []).map(paragraph => located(paragraph.content || '', paragraph));
+
+  const keyValuePairs = (result.keyValuePairs || [])
+    .filter(pair => pair.key && pair.value)
+    .map(pair => ({
+      key: pair.key.content || '',
+      value: pair.value.content || '',
+      page: getCellPage(pair.key),
+      confidence: spanConfidence(wordIndex, [...(pair.key.spans || []), ...(pair.value.spans || [])])
+    }));
+
+  return { lines, keyValuePairs };
+}
+
+// Key-value pairs (when Azure found any) and paragraphs outside tables -
+// where titles like "Obra: Torre Norte" live
+export function documentText(result) {
+  return {
+    keyValuePairs: (result.keyValuePairs || [])
+      .filter(pair => pair.key && pair.value)
+      .map(pair => ({ key: pair.key.content || '', value: pair.value.content || '' })),
+    paragraphs: (result.paragraphs || []).map(paragraph => paragraph.content || '')
+  };
+}
+
+// One Azure table as a text grid with the page and OCR confidence of each
+// row and cell; the header row(s) are detected like any other table
+export function processAzureTable(table, tableIndex = 0, wordIndex = []) {
+  const cellMap = {};
+  const confidenceMap = {};
+  const rowPages = {};
+  const headerHintRows = new Set();
+  table.cells.forEach(cell => {
+    // OCR confidence of the words in the cell
+    const confidence = spanConfidence(wordIndex, cell.spans);
+
+    // Spanned cells label every row/column they cover, like merged Excel cells
+    for (let r = 0; r < (cell.rowSpan || 1); r++) {
+      for (let c = 0; c < (cell.columnSpan || 1); c++) {
+        cellMap[`${cell.rowIndex + r}-${cell.columnIndex + c}`] = cell.content || '';
+        confidenceMap[`${cell.rowIndex + r}-${cell.columnIndex + c}`] = confidence;
+      }
+    }
+    if (cell.kind === 'columnHeader') {
+      headerHintRows.add(cell.rowIndex);
+    }
+    const page = getCellPage(cell);
+    if (page && rowPages[cell.rowIndex] === undefined) {
+      rowPages[cell.rowIndex] = page;
+    }
+  });
+  
+  const maxRow = Math.max(...table.cells.map(c => c.rowIndex + (c.rowSpan || 1) - 1));
+  const maxCol = Math.max(...table.cells.map(c => c.columnIndex + (c.columnSpan || 1) - 1));
+  const tablePage = getCellPage(table);
+  
+  const grid = [];
+  const gridOrigins = [];
+  const gridConfidences = [];
+  for (let row = 0; row <= maxRow; row++) {
+    const rowData = [];
+    const rowConfidence = [];
+    for (let col = 0; col <= maxCol; col++) {
+      rowData.push(cellMap[`${row}-${col}`] || '');
+      rowConfidence.push(confidenceMap[`${row}-${col}`] ?? null);
+    }
+    grid.push(rowData);
+    gridOrigins.push({ page: rowPages[row] || tablePage, tableIndex });
+    gridConfidences.push(rowConfidence);
+  }
+  
+  const { headerRowIndex, headerRowCount, headers } = detectHeaderRows(grid, [...headerHintRows]);
+  const firstDataRow = headerRowIndex + headerRowCount;
+  
+  return {
+    headers,
+    rows: grid.slice(firstDataRow),
+    titleRows: grid.slice(0, headerRowIndex),
+    rowOrigins: gridOrigins.slice(firstDataRow),
+    rowConfidences: gridConfidences.slice(firstDataRow),
+    headerRowIndex,
+    headerRowCount,
+    tableIndex,
+    grid,
+    gridOrigins,
+    gridConfidences,
+    pages: getTablePages(table),
+    hasHeaderCells: headerHintRows.size > 0
+  };
+}
+
+function getCellPage(element) {
+  const region = (element.boundingRegions || [])[0];
+  return region ? region.pageNumber : null;
+}
+
+function getTablePages(table) {
+  const pages = (table.boundingRegions || []).map(region => region.pageNumber);
+  return pages.length > 0 ? pages : [null];
+}
+
+// Join tables that continue on the following page. A continuation either
+// repeats the same header row, or has the same width and no header cells
+// (Azure then reports its first data rows as a header) - in that case every
+// row of its grid is data
+export function stitchTables(tables) {
+  const stitched = [];
+
+  tables.forEach(table => {
+    const previous = stitched[stitched.length - 1];
+    if (previous && isContinuation(previous, table)) {
+      if (sameHeaders(previous.headers, table.headers)) {
+        previous.rows.push(...table.rows);
+        previous.rowOrigins.push(...table.rowOrigins);
+        previous.rowConfidences.push(...table.rowConfidences);
+      } else {
+        previous.rows.push(...table.grid);
+        previous.rowOrigins.push(...table.gridOrigins);
+        previous.rowConfidences.push(...table.gridConfidences);
+      }
+      previous.pages = table.pages;
+      previous.continuedFrom.push(table.tableIndex);
+      return;
+    }
+    stitched.push({
+      ...table,
+      rows: [...table.rows],
+      rowOrigins: [...table.rowOrigins],
+      rowConfidences: [...table.rowConfidences],
+      continuedFrom: []
+    });
+  });
+
+  return stitched;
+}
+
+function isContinuation(previous, table) {
+  const lastPage = previous.pages[previous.pages.length - 1];
+  const firstPage = table.pages[0];
+  if (lastPage === null || firstPage === null || firstPage !== lastPage + 1) return false;
+  if (previous.headers.length !== table.headers.length) return false;
+
+  return sameHeaders(previous.headers, table.headers) || !table.hasHeaderCells;
+}
+
+function sameHeaders(a, b) {
+  return a.length === b.length && a.every((header, index) => normalizeHeader(header) === normalizeHeader(b[index]));
+}
@@ -0,0 +1,153 @@
+// lib/categories.js - Configurable category taxonomy for construction inventory
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+// JSON or YAML, chosen by file extension
+const DEFAULT_CONFIG_PATH = process.env.CATEGORY_CONFIG || fileURLToPath(new URL('../config/categories.json', import.meta.url));
+
+let taxonomy = null;
+
+export function loadTaxonomy(configPath = DEFAULT_CONFIG_PATH) {
+  const raw = fs.readFileSync(configPath, 'utf8');
+  const config = /\.ya?ml$/i.test(configPath) ? yaml.load(raw) : JSON.parse(raw);
+
+  taxonomy = {
+    source: configPath,
+    defaultCategory: config.defaultCategory || 'General Equipment',
+    rules: compileRules(config.rules || []),
+    companies: Object.fromEntries(
+      Object.entries(config.companies || {}).map(([company, override]) => [
+        normalizeText(company),
+        {
+          rules: compileRules(override.rules || []),
+          disabledRules: new Set(override.disabledRules || [])
+        }
+      ])
+    )
+  };
+
+  console.log(`🏷️ Loaded ${taxonomy.rules.length} category rule(s) from ${configPath}`);
+  return taxonomy;
+}
+
+function getTaxonomy() {
+  return taxonomy || loadTaxonomy();
+}
+
+// Smart category assignment for construction inventory. Every rule whose
+// keywords match (as whole words, ignoring accents) and whose exclusions
+// don't is a candidate; the highest priority wins, then the longest keyword,
+// then the rule listed first. A company override replaces rules with the
+// same id, adds new ones and can disable defaults
+export function categorizeItem(itemName, options = {}) {
+  const { defaultCategory } = getTaxonomy();
+  const text = normalizeText(itemName);
+  let best = null;
+
+  getRulesFor(options.company).forEach((rule, order) => {
+    if (rule.exclude.some(pattern => pattern.test(text))) return;
+
+    rule.keywords.forEach(({ keyword, pattern }) => {
+      if (!pattern.test(text)) return;
+
+      const candidate = { rule, keyword, order };
+      if (!best ||
+          rule.priority > best.rule.priority ||
+          (rule.priority === best.rule.priority && keyword.length > best.keyword.length) ||
+          (rule.priority === best.rule.priority && keyword.length === best.keyword.length && order < best.order)) {
+        best = candidate;
+      }
+    });
+  });
+
+  if (!best) {
+    return {
+      category: defaultCategory,
+      subcategory: null,
+      matchedRule: null
+    };
+  }
+
+  return {
+    category: best.rule.category,
+    subcategory: best.rule.subcategory,
+    matchedRule: {
+      id: best.rule.id,
+      keyword: best.keyword,
+      priority: best.rule.priority,
+      ...(best.rule.company && { company: best.rule.company })
+    }
+  };
+}
+
+// Category names (with subcategories) for dropdowns and reports
+export function getCategories(options = {}) {
+  const { defaultCategory } = getTaxonomy();
+  const categories = new Map();
+
+  getRulesFor(options.company).forEach(rule => {
+    if (!categories.has(rule.category)) categories.set(rule.category, new Set());
+    if (rule.subcategory) categories.get(rule.category).add(rule.subcategory);
+  });
+  if (!categories.has(defaultCategory)) categories.set(defaultCategory, new Set());
+
+  return [...categories.entries()].map(([name, subcategories]) => ({
+    name,
+    subcategories: [...subcategories]
+  }));
+}
+
+function getRulesFor(company) {
+  const { rules, companies } = getTaxonomy();
+  const override = company ? companies[normalizeText(company)] : null;
+  if (!override) return rules;
+
+  const replaced = new Set(override.rules.map(rule => rule.id));
+  const companyRules = override.rules.map(rule => ({ ...rule, company }));
+  return [
+    ...companyRules,
+    ...rules.filter(rule => !replaced.has(rule.id) && !override.disabledRules.has(rule.id))
+  ];
+}
+
+function compileRules(rules) {
+  return rules.map((rule, index) => {
+    if (!rule.category) {
+      throw new Error(`Category rule ${rule.id || index} has no category`);
+    }
+    return {
+      id: rule.id || `rule-${index + 1}`,
+      category: rule.category,
+      subcategory: rule.subcategory || null,
+      priority: Number(rule.priority) || 0,
+      keywords: (rule.keywords || []).map(keyword => ({
+        keyword,
+        pattern: keywordPattern(keyword)
+      })),
+      exclude: (rule.exclude || []).map(keywordPattern)
+    };
+  });
+}
+
+// Whole-word match that tolerates plurals ("taladros", "martillos") and
+// treats a trailing * as a prefix wildcard ("amolad*")
+function keywordPattern(keyword) {
+  const normalized = normalizeText(keyword);
+  const prefix = normalized.endsWith('*');
+  const escaped = normalized
+    .replace(/\*$/, '')
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\s+/g, '\\s+');
+  const ending = prefix ? '[a-z0-9]*' : '(?:s|es)?';
+  return new RegExp(`(?:^|[^a-z0-9])${escaped}${ending}(?=$|[^a-z0-9])`);
+}
+
+function normalizeText(text) {
+  return (text || '').toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
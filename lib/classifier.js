@@ -0,0 +1,195 @@
+// lib/classifier.js - Category classifier learned from review corrections
+// (naive Bayes over the words of item name, brand and specifications)
+import path from 'path';
+import { DATA_DIR, readJsonFile, writeJsonFile } from './json-file.js';
+
+const MODEL_FILE = process.env.CLASSIFIER_MODEL || path.join(DATA_DIR, 'category-model.json');
+
+// Below this probability the keyword rules decide
+export const MIN_PROBABILITY = parseFloat(process.env.CLASSIFIER_MIN_PROBABILITY || '0.6');
+
+// Corrections of a category before it can replace the keyword rules'. With
+// a single learned category the softmax is always 1, so at least two
+// categories must compete as well
+export const MIN_EXAMPLES = parseInt(process.env.CLASSIFIER_MIN_EXAMPLES || '3', 10);
+
+// Corrections kept in the model file, newest last, so it can be audited
+const MAX_RECORDED_CORRECTIONS = 1000;
+
+// Words that say nothing about what an item is
+const STOPWORDS = new Set([
+  'de', 'del', 'la', 'el', 'los', 'las', 'un', 'una', 'con', 'sin', 'para', 'por', 'en', 'y', 'o',
+  'the', 'of', 'for', 'with', 'and', 'or', 'a', 'an', 'in', 'x', 'ud', 'uds', 'unidad', 'unidades'
+]);
+
+let model = null;
+
+function emptyModel() {
+  return { version: 1, updatedAt: null, categories: {}, corrections: [] };
+}
+
+export async function loadClassifier() {
+  model = await readJsonFile(MODEL_FILE, null) || emptyModel();
+  const examples = countExamples();
+  console.log(`🧠 Category classifier: ${examples} correction(s) over ${Object.keys(model.categories).length} categories`);
+  return model;
+}
+
+function getModel() {
+  if (!model) model = emptyModel();
+  return model;
+}
+
+// Record category corrections and learn from them. Each correction is
+// { item, category, subcategory, from }, where item has the itemName, brand
+// and specifications the category was decided on
+export async function learnCorrections(corrections) {
+  const current = getModel();
+  const now = new Date().toISOString();
+  let learned = 0;
+
+  corrections.forEach(({ item, category, subcategory = null, from = null }) => {
+    const tokens = itemTokens(item);
+    if (!category || tokens.all.length === 0) return;
+
+    const entry = current.categories[category] ||= { examples: 0, tokenCount: 0, tokens: {}, subcategories: {} };
+    entry.examples += 1;
+    tokens.all.forEach(token => {
+      entry.tokens[token] = (entry.tokens[token] || 0) + 1;
+      entry.tokenCount += 1;
+    });
+    if (subcategory) entry.subcategories[subcategory] = (entry.subcategories[subcategory] || 0) + 1;
+
+    current.corrections.push({
+      itemName: item.itemName || '',
+      ...(item.brand && { brand: item.brand }),
+      ...(item.specifications && { specifications: item.specifications }),
+      from,
+      category,
+      ...(subcategory && { subcategory }),
+      at: now
+    });
+    learned += 1;
+  });
+
+  if (learned === 0) return 0;
+  current.corrections = current.corrections.slice(-MAX_RECORDED_CORRECTIONS);
+  current.updatedAt = now;
+  await writeJsonFile(MODEL_FILE, current);
+  console.log(`🧠 Learned ${learned} category correction(s)`);
+  return learned;
+}
+
+// The learned category for an item: { category, subcategory, probability,
+// confident }, or null when the model has never seen any of the words in
+// its name. Up to half the probability depends on the share of name words
+// the model knows, so one shared word ("Cinta" in "Cinta métrica" and
+// "Cinta de balizamiento") isn't enough on its own. allowed limits the
+// answer to a company's categories. confident needs MIN_PROBABILITY,
+// MIN_EXAMPLES corrections of the category and a second category to beat
+export function classifyItem(item, { allowed = null } = {}) {
+  const { categories } = getModel();
+  const names = Object.keys(categories).filter(name => !allowed || allowed.includes(name));
+  if (names.length === 0) return null;
+
+  const vocabulary = new Set(names.flatMap(name => Object.keys(categories[name].tokens)));
+  const tokens = itemTokens(item);
+  const known = tokens.name.filter(token => vocabulary.has(token));
+  if (known.length === 0) return null;
+
+  const totalExamples = names.reduce((sum, name) => sum + categories[name].examples, 0);
+  const scores = names.map(name => {
+    const entry = categories[name];
+    let score = Math.log((entry.examples + 1) / (totalExamples + names.length));
+    tokens.all.forEach(token => {
+      if (!vocabulary.has(token)) return;
+      score += Math.log(((entry.tokens[token] || 0) + 1) / (entry.tokenCount + vocabulary.size));
+    });
+    return { name, score };
+  });
+
+  // Softmax over the log scores
+  const best = scores.reduce((a, b) => (b.score > a.score ? b : a));
+  const total = scores.reduce((sum, { score }) => sum + Math.exp(score - best.score), 0);
+  const coverage = known.length / tokens.name.length;
+  const probability = Math.round(((1 + coverage) / 2 / total) * 100) / 100;
+
+  return {
+    category: best.name,
+    subcategory: mostFrequent(categories[best.name].subcategories),
+    probability,
+    confident: probability >= MIN_PROBABILITY && names.length >= 2 && categories[best.name].examples >= MIN_EXAMPLES
+  };
+}
+
+// What the model has learned, for GET /classifier
+export function describeClassifier() {
+  const { updatedAt, categories } = getModel();
+  return {
+    corrections: countExamples(),
+    updatedAt,
+    minProbability: MIN_PROBABILITY,
+    minExamples: MIN_EXAMPLES,
+    categories: Object.entries(categories)
+      .map(([name, entry]) => ({ name, examples: entry.examples, words: Object.keys(entry.tokens).length }))
+      .sort((a, b) => b.examples - a.examples)
+  };
+}
+
+// The whole model, recorded corrections included
+export function exportClassifier() {
+  return getModel();
+}
+
+export async function resetClassifier() {
+  model = emptyModel();
+  await writeJsonFile(MODEL_FILE, model);
+  console.log('🧠 Category classifier reset');
+}
+
+function countExamples() {
+  return Object.values(getModel().categories).reduce((sum, entry) => sum + entry.examples, 0);
+}
+
+function mostFrequent(counts) {
+  const entries = Object.entries(counts || {});
+  if (entries.length === 0) return null;
+  return entries.reduce((a, b) => (b[1] > a[1] ? b : a))[0];
+}
+
+// Name words alone (the model must know some of them to answer) and every
+// feature: name and specification words, plus the brand as one token
+function itemTokens(item) {
+  const name = tokenize(item.itemName);
+  const specifications = tokenize(item.specifications);
+  const brand = normalizeText(item.brand).replace(/\s+/g, '');
+  return {
+    name,
+    all: [...name, ...specifications, ...(brand ? [`brand:${brand}`] : [])]
+  };
+}
+
+// "Andamios tubulares de 2m" -> ['andamio', 'tubular', '2m']
+function tokenize(text) {
+  return normalizeText(text)
+    .split(' ')
+    .filter(token => token.length > 1 && !STOPWORDS.has(token) && !/^\d+$/.test(token))
+    .map(stem);
+}
+
+// Plurals count as the singular: "taladros" is "taladro", "tubulares" is "tubular"
+function stem(token) {
+  if (token.length > 4 && /[rlndj]es$/.test(token)) return token.slice(0, -2);
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+}
+
+// Accents, case and punctuation are ignored
+function normalizeText(text) {
+  return (text || '').toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,85 @@
+// lib/conditions.js - Condition vocabulary and synonym mapping
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+// JSON or YAML, chosen by file extension
+const DEFAULT_CONFIG_PATH = process.env.CONDITION_CONFIG || fileURLToPath(new URL('../config/conditions.json', import.meta.url));
+
+let vocabulary = null;
+
+export function loadConditions(configPath = DEFAULT_CONFIG_PATH) {
+  const raw = fs.readFileSync(configPath, 'utf8');
+  const config = /\.ya?ml$/i.test(configPath) ? yaml.load(raw) : JSON.parse(raw);
+
+  const conditions = (config.conditions || []).map((condition, index) => {
+    if (!condition.name) {
+      throw new Error(`Condition ${index + 1} has no name`);
+    }
+    return { name: condition.name, synonyms: [condition.name, ...(condition.synonyms || [])] };
+  });
+  const defaultCondition = config.defaultCondition === undefined ? 'Good' : config.defaultCondition;
+  if (defaultCondition !== null && !conditions.some(condition => condition.name === defaultCondition)) {
+    throw new Error(`Default condition "${defaultCondition}" is not one of the conditions`);
+  }
+
+  // Longest synonyms first, so "no funciona" beats "funciona"
+  const synonyms = conditions
+    .flatMap(condition => condition.synonyms.map(synonym => ({ condition: condition.name, text: normalizeText(synonym) })))
+    .filter(synonym => synonym.text)
+    .sort((a, b) => b.text.length - a.text.length);
+
+  vocabulary = { source: configPath, defaultCondition, conditions, synonyms };
+  console.log(`🩺 Loaded ${conditions.length} condition(s) from ${configPath}`);
+  return vocabulary;
+}
+
+function getVocabulary() {
+  return vocabulary || loadConditions();
+}
+
+// Condition names, for dropdowns and validation
+export function getConditions() {
+  return getVocabulary().conditions.map(condition => condition.name);
+}
+
+// The controlled condition for a raw cell. The whole cell matching a synonym
+// is certain ("B", "bueno"); a synonym found inside longer text ("bueno,
+// con marcas de uso") is likely. An empty cell gets the default condition;
+// text that matches nothing gets null so it can be flagged, never guessed
+export function normalizeCondition(value) {
+  const { defaultCondition, synonyms } = getVocabulary();
+  const raw = (value ?? '').toString().trim();
+  const text = normalizeText(raw);
+
+  if (!text) {
+    return { condition: defaultCondition, raw: null, match: 'default' };
+  }
+
+  const exact = synonyms.find(synonym => synonym.text === text);
+  if (exact) {
+    return { condition: exact.condition, raw, match: 'exact' };
+  }
+
+  // Single letters ("B", "R") only count on their own
+  const contained = synonyms.find(synonym => synonym.text.length > 1 && containsWords(text, synonym.text));
+  if (contained) {
+    return { condition: contained.condition, raw, match: 'synonym' };
+  }
+
+  return { condition: null, raw, match: 'none' };
+}
+
+function containsWords(text, phrase) {
+  return ` ${text} `.includes(` ${phrase} `);
+}
+
+// Accents, case and punctuation are ignored: "Dañado." is "danado"
+function normalizeText(text) {
+  return (text || '').toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
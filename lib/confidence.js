@@ -0,0 +1,84 @@
+// lib/confidence.js - Item confidence from OCR, mapping and parsing signals
+
+// How much each field counts towards the item's confidence. The item name
+// matters most - without it the row is barely usable
+const FIELD_WEIGHTS = {
+  itemName: 3,
+  quantity: 1.5,
+  purchaseDate: 1,
+  condition: 1,
+  unitPrice: 1,
+  totalValue: 1,
+  brand: 1,
+  model: 1,
+  serialNumber: 1,
+  specifications: 0.5,
+  supplier: 0.5,
+  currency: 0.5
+};
+
+// Azure reports a confidence per word, with each word's position in the
+// document text. Words are sorted by offset so cells can find theirs quickly
+export function buildWordIndex(pages = []) {
+  return pages
+    .flatMap(page => page.words || [])
+    .filter(word => word.span && typeof word.confidence === 'number')
+    .map(word => ({ offset: word.span.offset, end: word.span.offset + word.span.length, confidence: word.confidence }))
+    .sort((a, b) => a.offset - b.offset);
+}
+
+// Mean confidence of the words inside a cell's spans; null when the cell has
+// no words (empty, or no OCR involved)
+export function spanConfidence(wordIndex, spans = []) {
+  const confidences = [];
+
+  spans.forEach(({ offset, length }) => {
+    const end = offset + length;
+    for (let i = firstWordAtOrAfter(wordIndex, offset); i < wordIndex.length && wordIndex[i].offset < end; i++) {
+      if (wordIndex[i].end <= end) confidences.push(wordIndex[i].confidence);
+    }
+  });
+
+  if (confidences.length === 0) return null;
+  return round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length);
+}
+
+// One field's confidence from its three signals, each 0-1. A missing OCR
+// confidence means the text came from a file, not a scan, so it is exact
+export function fieldConfidence({ ocr = null, mapping = 1, parse = 1 }) {
+  return {
+    score: Math.round((ocr ?? 1) * mapping * parse * 100),
+    ocr,
+    mapping,
+    parse
+  };
+}
+
+// Weighted mean of the field scores, as a 0-100 percentage
+export function combineConfidence(breakdown) {
+  let total = 0;
+  let weights = 0;
+
+  Object.entries(breakdown).forEach(([field, { score }]) => {
+    const weight = FIELD_WEIGHTS[field] ?? 1;
+    total += score * weight;
+    weights += weight;
+  });
+
+  return weights > 0 ? Math.round(total / weights) : 0;
+}
+
+function firstWordAtOrAfter(wordIndex, offset) {
+  let low = 0;
+  let high = wordIndex.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (wordIndex[mid].offset < offset) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,180 @@
+// lib/dates.js - Locale-aware purchase date normalization
+const MONTHS = {
+  // Spanish
+  enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6, julio: 7,
+  agosto: 8, septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12,
+  ene: 1, feb: 2, mar: 3, abr: 4, may: 5, jun: 6, jul: 7, ago: 8, sep: 9, sept: 9,
+  set: 9, oct: 10, nov: 11, dic: 12,
+  // English
+  january: 1, february: 2, march: 3, april: 4, june: 6, july: 7, august: 8,
+  september: 9, october: 10, november: 11, december: 12,
+  jan: 1, apr: 4, aug: 8, dec: 12
+};
+
+// Excel stores dates as days since 1899-12-30; this window covers 1954-2119
+// so plain years like 2019 are never mistaken for serials
+const EXCEL_SERIAL_MIN = 20000;
+const EXCEL_SERIAL_MAX = 80000;
+
+// Locales that write the month first; everything else is day-first
+const MONTH_FIRST_LOCALES = ['en-us', 'en-ph', 'en-ca', 'es-us', 'us'];
+
+// 'auto' lets the column decide, otherwise a locale such as 'es', 'en-US',
+// or an explicit 'DMY' / 'MDY'
+export function orderForLocale(locale) {
+  const value = (locale || 'auto').toString().trim().toLowerCase();
+  if (value === 'auto' || value === '') return 'auto';
+  if (value === 'dmy' || value === 'mdy') return value.toUpperCase();
+  return MONTH_FIRST_LOCALES.includes(value) ? 'MDY' : 'DMY';
+}
+
+// Decide day/month order for a whole column: any first part above 12 means
+// day-first, any second part above 12 means month-first
+export function detectDateOrder(values) {
+  let dayFirst = false;
+  let monthFirst = false;
+
+  values.forEach(value => {
+    const match = (value || '').toString().trim().match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2}|\d{4})$/);
+    if (!match) return;
+    if (parseInt(match[1]) > 12) dayFirst = true;
+    if (parseInt(match[2]) > 12) monthFirst = true;
+  });
+
+  if (dayFirst && !monthFirst) return 'DMY';
+  if (monthFirst && !dayFirst) return 'MDY';
+  return null;
+}
+
+// Resolve the order to use for a column: an explicit locale wins, then the
+// column's own evidence, then day-first (the convention in most of our files)
+export function resolveDateOrder(values, locale) {
+  const configured = orderForLocale(locale);
+  if (configured !== 'auto') return { order: configured, inferred: false };
+
+  const detected = detectDateOrder(values);
+  if (detected) return { order: detected, inferred: true };
+  return { order: 'DMY', inferred: false, ambiguous: true };
+}
+
+// Flexible date parsing. Returns { date: 'YYYY-MM-DD' | null, warning }
+// where warning explains guesses (ambiguous order, year-only) and rejects
+export function normalizeDate(dateValue, options = {}) {
+  if (dateValue === null || dateValue === undefined) return { date: null };
+
+  const dateStr = dateValue.toString().trim();
+  if (!dateStr) return { date: null };
+
+  const order = options.order || 'DMY';
+  let match;
+
+  // Excel serial number
+  if (/^\d+(\.\d+)?$/.test(dateStr)) {
+    const serial = parseFloat(dateStr);
+    if (serial >= EXCEL_SERIAL_MIN && serial <= EXCEL_SERIAL_MAX) {
+      const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(serial) * 86400000);
+      return { date: toIsoDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()) };
+    }
+  }
+
+  // YYYY-MM-DD, YYYY/MM/DD (optionally followed by a time)
+  if ((match = dateStr.match(/^(\d{4})[\/.-](\d{1,2})[\/.-](\d{1,2})(?:[T\s].*)?$/))) {
+    return validated(match[1], match[2], match[3], dateStr);
+  }
+
+  // DD/MM/YYYY or MM/DD/YYYY, also with - or . and two-digit years
+  if ((match = dateStr.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2}|\d{4})(?:\s.*)?$/))) {
+    const [first, second] = [parseInt(match[1]), parseInt(match[2])];
+    const year = expandYear(match[3]);
+
+    // A part above 12 settles the order regardless of locale
+    let [day, month] = order === 'MDY' ? [second, first] : [first, second];
+    if (first > 12 && second <= 12) [day, month] = [first, second];
+    if (second > 12 && first <= 12) [day, month] = [second, first];
+
+    const result = validated(year, month, day, dateStr);
+    if (result.date && first <= 12 && second <= 12 && first !== second && options.ambiguous) {
+      result.warning = `Ambiguous date "${dateStr}" read as ${order === 'MDY' ? 'MM/DD' : 'DD/MM'}`;
+    }
+    return result;
+  }
+
+  const words = normalizeWords(dateStr);
+
+  // "15 de marzo de 2021", "15 Mar 2021"
+  if ((match = words.match(/^(\d{1,2}) (?:de )?([a-z]+)\.? (?:de |del )?(\d{4})$/)) && MONTHS[match[2]]) {
+    return validated(match[3], MONTHS[match[2]], match[1], dateStr);
+  }
+
+  // "March 15, 2021", "Mar 15 2021"
+  if ((match = words.match(/^([a-z]+)\.? (\d{1,2}),? (\d{4})$/)) && MONTHS[match[1]]) {
+    return validated(match[3], MONTHS[match[1]], match[2], dateStr);
+  }
+
+  // "Mar 2021", "marzo de 2021", "mar-21"
+  if ((match = words.match(/^([a-z]+)\.?[ -](?:de |del )?(\d{4}|\d{2})$/)) && MONTHS[match[1]]) {
+    const result = validated(expandYear(match[2]), MONTHS[match[1]], 1, dateStr);
+    if (result.date) result.warning = `Only month and year given in "${dateStr}" - day set to 1`;
+    return result;
+  }
+
+  // MM/YYYY
+  if ((match = dateStr.match(/^(\d{1,2})[\/.-](\d{4})$/))) {
+    const result = validated(match[2], match[1], 1, dateStr);
+    if (result.date) result.warning = `Only month and year given in "${dateStr}" - day set to 1`;
+    return result;
+  }
+
+  // Just a year, possibly inside other text
+  if ((match = dateStr.match(/(?:^|\D)(\d{4})(?:\D|$)/))) {
+    const year = parseInt(match[1]);
+    if (year > 1900 && year <= new Date().getFullYear() + 5) {
+      return {
+        date: `${year}-01-01`,
+        warning: `Only a year was found in "${dateStr}" - date set to January 1`
+      };
+    }
+  }
+
+  return { date: null, warning: `Unrecognized date "${dateStr}"` };
+}
+
+// "2023-02-30" has the right shape but is not a day on the calendar
+export function isIsoDate(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  return Boolean(match && validated(match[1], match[2], match[3], text).date);
+}
+
+function validated(year, month, day, original) {
+  const y = parseInt(year);
+  const m = parseInt(month);
+  const d = parseInt(day);
+  const date = new Date(Date.UTC(y, m - 1, d));
+
+  if (m < 1 || m > 12 || d < 1 ||
+      date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+    return { date: null, warning: `Invalid calendar date "${original}"` };
+  }
+  return { date: toIsoDate(y, m, d) };
+}
+
+// Two-digit years up to five years ahead are this century, the rest last
+function expandYear(year) {
+  const value = parseInt(year);
+  if (year.toString().length !== 2) return value;
+  const pivot = (new Date().getFullYear() + 5) % 100;
+  return value <= pivot ? 2000 + value : 1900 + value;
+}
+
+function toIsoDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function normalizeWords(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,146 @@
+// lib/delimited.js - Local CSV/TSV parsing without Azure
+import { detectHeaderRows } from './mapping.js';
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+// Parse a delimited text file into the same { headers, rows } shape that
+// processAzureTable produces for Azure tables
+export function parseDelimited(buffer, options = {}) {
+  const { text, encoding } = decodeText(buffer);
+  const delimiter = options.delimiter || detectDelimiter(text);
+
+  const records = splitRecords(text, delimiter)
+    .map(record => record.map(cell => cell.trim()))
+    .filter(record => record.some(cell => cell));
+
+  if (records.length === 0) {
+    return { tables: [], delimiter, encoding };
+  }
+
+  const width = Math.max(...records.map(record => record.length));
+  const padded = records.map(record =>
+    record.concat(Array(width - record.length).fill(''))
+  );
+
+  const { headerRowIndex, headerRowCount, headers } = detectHeaderRows(padded);
+
+  return {
+    tables: [{
+      source: 'csv',
+      tableIndex: 0,
+      headers,
+      rows: padded.slice(headerRowIndex + headerRowCount),
+      titleRows: padded.slice(0, headerRowIndex),
+      headerRowIndex,
+      headerRowCount
+    }],
+    delimiter,
+    encoding
+  };
+}
+
+// Strip byte-order marks and fall back to Windows-1252 (a superset of
+// Latin-1) when the bytes are not valid UTF-8, as in most Excel CSV exports
+function decodeText(buffer) {
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return { text: new TextDecoder('utf-8').decode(buffer.subarray(3)), encoding: 'utf-8' };
+  }
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return { text: new TextDecoder('utf-16le').decode(buffer.subarray(2)), encoding: 'utf-16le' };
+  }
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return { text: new TextDecoder('utf-16be').decode(buffer.subarray(2)), encoding: 'utf-16be' };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch {
+    return { text: decodeWindows1252(buffer), encoding: 'windows-1252' };
+  }
+}
+
+// What Windows-1252 puts at 0x80-0x9F, where Latin-1 has control
+// characters; the five unassigned bytes stay as they are. Node's
+// TextDecoder('windows-1252') decodes as Latin-1, so "€" (0x80) would be lost
+const WINDOWS_1252_HIGH = [
+  0x20AC, 0x81, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021,
+  0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x8D, 0x017D, 0x8F,
+  0x90, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014,
+  0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0x9D, 0x017E, 0x0178
+];
+
+function decodeWindows1252(buffer) {
+  return buffer.toString('latin1')
+    .replace(/[\u0080-\u009f]/g, char => String.fromCharCode(WINDOWS_1252_HIGH[char.charCodeAt(0) - 0x80]));
+}
+
+// Pick the delimiter that splits the first lines into the most consistent,
+// widest set of columns
+function detectDelimiter(text) {
+  const sample = text.split(/\r\n|\n|\r/).filter(line => line.trim()).slice(0, 20).join('\n');
+  let best = { delimiter: ',', score: 0 };
+
+  CANDIDATE_DELIMITERS.forEach(delimiter => {
+    const widths = splitRecords(sample, delimiter).map(record => record.length);
+    if (widths.length === 0 || widths[0] < 2) return;
+
+    const consistent = widths.filter(width => width === widths[0]).length / widths.length;
+    const score = consistent * widths[0];
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  });
+
+  return best.delimiter;
+}
+
+// RFC 4180 style splitter - quoted fields may contain delimiters, doubled
+// quotes and line breaks
+function splitRecords(text, delimiter) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      field = '';
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+}
+
+export function isDelimitedFile(filename) {
+  return /\.(csv|tsv|tab)$/i.test(filename || '');
+}
@@ -0,0 +1,8 @@
+// lib/env.js - Loads .env before any other module reads process.env.
+// Imported first by server.js and cli.js. The application folder's .env is
+// found wherever the process starts (a cron job, the bin entry); one in the
+// current directory wins when both exist
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+
+dotenv.config({ path: ['.env', fileURLToPath(new URL('../.env', import.meta.url))] });
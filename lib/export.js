@@ -0,0 +1,131 @@
+// lib/export.js - CSV, XLSX and JSON exports in the web app's import schema
+import XLSX from 'xlsx';
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Fields exported after the schema fields, in every format
+const EXTRA_FIELDS = {
+  assetId: 'Asset tag id, as printed on labels',
+  subcategory: 'Subcategory within the category',
+  quantity: 'Number of units the row stands for',
+  unitPrice: 'Price of one unit',
+  totalValue: 'Quantity x unit price',
+  currency: 'ISO currency code of the prices'
+};
+const EXTRA_COLUMNS = Object.keys(EXTRA_FIELDS);
+const ISSUES_COLUMN = 'validationIssues';
+
+const MAX_COLUMN_WIDTH = 40;
+
+// Excel limits sheet names to 31 characters and forbids : \ / ? * [ ]
+const MAX_SHEET_NAME = 31;
+
+// Spreadsheet columns: the schema fields, structured quantity and pricing,
+// then the validation issues flattened into one cell
+export function exportColumns(targetFields) {
+  return [...Object.keys(targetFields), ...EXTRA_COLUMNS.filter(field => !(field in targetFields)), ISSUES_COLUMN];
+}
+
+export function toCsv(items, targetFields) {
+  const columns = exportColumns(targetFields);
+  const lines = [columns, ...items.map(item => columns.map(column => cellValue(item, column)))]
+    .map(values => values.map(csvEscape).join(','));
+
+  // The BOM makes Excel open the file as UTF-8 (accents in names and projects)
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// One sheet per project (or category), each with a filterable header row
+export function toXlsx(items, targetFields, { groupBy = 'project' } = {}) {
+  const columns = exportColumns(targetFields);
+  const workbook = XLSX.utils.book_new();
+  const groups = new Map();
+
+  items.forEach(item => {
+    const key = item[groupBy] || (groupBy === 'category' ? 'Uncategorized' : 'No project');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  if (groups.size === 0) groups.set('Inventory', []);
+
+  const usedNames = new Set();
+  groups.forEach((groupItems, key) => {
+    const rows = groupItems.map(item => columns.map(column => {
+      const value = cellValue(item, column);
+      return column === 'purchaseDate' && value ? new Date(`${value}T00:00:00Z`) : value;
+    }));
+    const sheet = XLSX.utils.aoa_to_sheet([columns, ...rows], { cellDates: true, dateNF: 'yyyy-mm-dd' });
+
+    sheet['!cols'] = columns.map((column, index) => ({
+      wch: Math.min(MAX_COLUMN_WIDTH, Math.max(column.length, ...rows.map(row => displayLength(row[index])))) + 2
+    }));
+    if (sheet['!ref']) sheet['!autofilter'] = { ref: sheet['!ref'] };
+
+    XLSX.utils.book_append_sheet(workbook, sheet, uniqueSheetName(key, usedNames));
+  });
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// Items reduced to the schema fields plus quantity, pricing and asset id,
+// with the issues kept alongside so the asset system can reject or flag rows
+export function toJsonPayload(items, targetFields) {
+  const schema = { ...targetFields, ...EXTRA_FIELDS };
+  const fields = Object.keys(schema);
+
+  return {
+    schema,
+    exportedAt: new Date().toISOString(),
+    totalItems: items.length,
+    items: items.map(item => Object.fromEntries(fields.map(field => [field, item[field] ?? (field === 'extraFields' ? {} : null)]))),
+    validationIssues: items.flatMap((item, index) =>
+      (item.validationIssues || []).map(issue => ({ index, ...issue }))
+    )
+  };
+}
+
+function cellValue(item, column) {
+  if (column === ISSUES_COLUMN) {
+    return (item.validationIssues || [])
+      .map(issue => `${issue.severity}: ${issue.field ? issue.field + ' - ' : ''}${issue.message}`)
+      .join('; ');
+  }
+  const value = item[column];
+  if (value && typeof value === 'object') {
+    // extraFields: "Header: value" pairs in one cell
+    return escapeFormula(Object.entries(value).map(([key, entry]) => `${key}: ${entry}`).join('; '));
+  }
+  if (typeof value === 'string') return escapeFormula(value);
+  return value === undefined || value === null ? '' : value;
+}
+
+// Text read from an uploaded file that starts like a formula ("=HYPERLINK(...)",
+// "+34 600...", "@SUM") would run when the export is opened in a spreadsheet,
+// so it is written with a leading apostrophe and shown as plain text
+function escapeFormula(text) {
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+function displayLength(value) {
+  return value instanceof Date ? 10 : value.toString().length;
+}
+
+function csvEscape(value) {
+  const text = value.toString();
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function uniqueSheetName(name, usedNames) {
+  const base = name.toString().replace(/[:\\/?*[\]]/g, ' ').trim().slice(0, MAX_SHEET_NAME) || 'Sheet';
+  let candidate = base;
+  for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    candidate = base.slice(0, MAX_SHEET_NAME - suffix.length) + suffix;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
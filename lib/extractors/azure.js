@@ -0,0 +1,71 @@
+// lib/extractors/azure.js - Azure Document Intelligence prebuilt-layout
+import { DocumentAnalysisClient, AzureKeyCredential } from '@azure/ai-form-recognizer';
+import { tablesFromAnalyzeResult } from '../azure-layout.js';
+import { isSpreadsheetFile } from '../spreadsheet.js';
+import { isDelimitedFile } from '../delimited.js';
+import { recordFixture } from './fixtures.js';
+import { withRetry } from '../retry.js';
+
+const MAX_RETRIES = parseInt(process.env.AZURE_MAX_RETRIES || '4');
+const RETRY_BASE_DELAY = parseInt(process.env.AZURE_RETRY_DELAY_MS || '2000');
+
+// Retries are layered: the SDK retries each HTTP request (the submit and every
+// status poll) on 429, 5xx and network errors SDK_RETRIES times, honoring
+// Retry-After; once it gives up, withRetry starts the analysis over, up to
+// MAX_RETRIES times with its longer backoff. The SDK default of 3 would make
+// a throttled submit up to 4 x (MAX_RETRIES + 1) requests, so it is kept low
+const SDK_RETRIES = 1;
+
+let client = null;
+
+// Created on first use so the server starts without Azure credentials
+function getClient() {
+  if (!client) {
+    client = new DocumentAnalysisClient(process.env.AZURE_ENDPOINT, new AzureKeyCredential(process.env.AZURE_KEY), {
+      retryOptions: { maxRetries: SDK_RETRIES }
+    });
+  }
+  return client;
+}
+
+export const azureExtractor = {
+  name: 'azure',
+  description: 'Azure Document Intelligence prebuilt-layout (PDF, images)',
+
+  async isConfigured() {
+    return Boolean(process.env.AZURE_ENDPOINT && process.env.AZURE_KEY);
+  },
+
+  // Spreadsheets and CSV files are better read locally
+  async canHandle({ filename }) {
+    return !isSpreadsheetFile(filename) && !isDelimitedFile(filename);
+  },
+
+  // Throttling (429) is retried with backoff; onProgress hears about waits
+  async extract({ buffer }, { onProgress = () => {} } = {}) {
+    const result = await withRetry(async () => {
+      const poller = await getClient().beginAnalyzeDocument('prebuilt-layout', buffer);
+      console.log('⏳ Analyzing with Azure AI...');
+      return poller.pollUntilDone();
+    }, {
+      retries: MAX_RETRIES,
+      baseDelay: RETRY_BASE_DELAY,
+      onRetry: ({ attempt, delay }) => {
+        const message = `Azure is throttling requests - retry ${attempt} of ${MAX_RETRIES} in ${Math.round(delay / 1000)}s`;
+        console.warn(`⏳ ${message}`);
+        onProgress(message);
+      }
+    });
+    console.log('✅ Analysis complete!');
+
+    if (process.env.RECORD_FIXTURES === 'true') {
+      console.log(`📼 Recorded result to ${await recordFixture(buffer, result)}`);
+    }
+
+    const { tables, tablesDetected, documentText } = tablesFromAnalyzeResult(result);
+    if (tablesDetected > 0) {
+      console.log(`📊 Found ${tablesDetected} table(s), ${tables.length} after joining page continuations`);
+    }
+    return { tables, tablesDetected, documentText, service: 'Azure Document Intelligence' };
+  }
+};
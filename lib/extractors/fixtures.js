@@ -0,0 +1,58 @@
+// lib/extractors/fixtures.js - Recorded Azure AnalyzeResult files for
+// offline development and regression runs
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promises as fs, existsSync } from 'fs';
+import { tablesFromAnalyzeResult } from '../azure-layout.js';
+
+export const FIXTURE_DIR = process.env.FIXTURE_DIR || fileURLToPath(new URL('../../fixtures/azure', import.meta.url));
+
+// A recording is found by the uploaded file's content hash first, so a
+// renamed file still replays, then by its filename ("inventario.pdf.json")
+export function fixturePaths({ buffer, filename }) {
+  return [
+    path.join(FIXTURE_DIR, `${contentHash(buffer)}.json`),
+    path.join(FIXTURE_DIR, `${path.basename(filename)}.json`)
+  ];
+}
+
+export function contentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Save a live result under the file's content hash (RECORD_FIXTURES=true)
+export async function recordFixture(buffer, result) {
+  const target = path.join(FIXTURE_DIR, `${contentHash(buffer)}.json`);
+  await fs.mkdir(FIXTURE_DIR, { recursive: true });
+  await fs.writeFile(target, JSON.stringify(result, null, 2));
+  return target;
+}
+
+// Only used when asked for by name (extractor=fixture or EXTRACTOR=fixture):
+// with 'auto' an upload that happens to match a recording would get canned
+// data instead of being read
+export const fixtureExtractor = {
+  name: 'fixture',
+  description: `Recorded Azure results replayed from ${FIXTURE_DIR}`,
+  auto: false,
+
+  async isConfigured() {
+    return existsSync(FIXTURE_DIR);
+  },
+
+  async canHandle(file) {
+    return fixturePaths(file).some(candidate => existsSync(candidate));
+  },
+
+  async extract(file) {
+    const fixture = fixturePaths(file).find(candidate => existsSync(candidate));
+    if (!fixture) {
+      throw new Error(`No recorded result for ${file.filename} in ${FIXTURE_DIR}`);
+    }
+
+    const result = JSON.parse(await fs.readFile(fixture, 'utf8'));
+    console.log(`📼 Replaying ${fixture}`);
+    return { ...tablesFromAnalyzeResult(result), service: 'Recorded Azure result' };
+  }
+};
@@ -0,0 +1,58 @@
+// lib/extractors/index.js - Extraction backends and how one is picked
+//
+// Each backend turns an uploaded file into tables ({ headers, rows, ... })
+// and exposes the same shape:
+//   name, description
+//   auto                        - false to leave it out of 'auto' selection
+//   isConfigured()              - credentials / packages / data present
+//   canHandle({ buffer, filename })
+//   extract({ buffer, filename }, { onProgress }) -> { tables, tablesDetected, service,
+//                                                      documentText? }
+// documentText ({ keyValuePairs, paragraphs }) is the text outside tables,
+// when the backend has any
+import { localExtractor } from './local.js';
+import { azureExtractor } from './azure.js';
+import { fixtureExtractor } from './fixtures.js';
+import { tesseractExtractor } from './tesseract.js';
+
+// In 'auto' order: local parsing beats OCR, and Tesseract is the offline
+// fallback for photos. Recordings are never picked by 'auto'
+const EXTRACTORS = [localExtractor, azureExtractor, fixtureExtractor, tesseractExtractor];
+
+export const DEFAULT_EXTRACTOR = process.env.EXTRACTOR || 'auto';
+
+export async function listExtractors() {
+  return Promise.all(EXTRACTORS.map(async extractor => ({
+    name: extractor.name,
+    description: extractor.description,
+    configured: await extractor.isConfigured()
+  })));
+}
+
+// The backend for a file: the one asked for by name, or with 'auto' the
+// first configured backend that takes part in 'auto' and can handle it. Throws with a message fit
+// for the user when there is none
+export async function selectExtractor(file, requested = DEFAULT_EXTRACTOR) {
+  const name = (requested || 'auto').toString().trim().toLowerCase();
+
+  if (name !== 'auto') {
+    const extractor = EXTRACTORS.find(candidate => candidate.name === name);
+    if (!extractor) {
+      throw new Error(`Unknown extractor "${requested}" - use auto, ${EXTRACTORS.map(e => e.name).join(', ')}`);
+    }
+    if (!await extractor.isConfigured()) {
+      throw new Error(`The ${extractor.name} extractor is not configured`);
+    }
+    if (!await extractor.canHandle(file)) {
+      throw new Error(`The ${extractor.name} extractor cannot read ${file.filename}`);
+    }
+    return extractor;
+  }
+
+  for (const extractor of EXTRACTORS) {
+    if (extractor.auto !== false && await extractor.isConfigured() && await extractor.canHandle(file)) {
+      return extractor;
+    }
+  }
+  throw new Error(`No configured extractor can read ${file.filename}`);
+}
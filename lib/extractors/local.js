@@ -0,0 +1,30 @@
+// lib/extractors/local.js - Spreadsheets and delimited text, parsed locally
+import { parseWorkbook, isSpreadsheetFile } from '../spreadsheet.js';
+import { parseDelimited, isDelimitedFile } from '../delimited.js';
+
+export const localExtractor = {
+  name: 'local',
+  description: 'Local spreadsheet/CSV parser (XLSX, XLS, CSV, TSV)',
+
+  async isConfigured() {
+    return true;
+  },
+
+  async canHandle({ filename }) {
+    return isSpreadsheetFile(filename) || isDelimitedFile(filename);
+  },
+
+  async extract({ buffer, filename }) {
+    if (isSpreadsheetFile(filename)) {
+      // Every sheet becomes a table
+      const tables = parseWorkbook(buffer);
+      console.log(`📗 Parsed ${tables.length} sheet(s) locally`);
+      return { tables, tablesDetected: tables.length, service: 'Local spreadsheet parser' };
+    }
+
+    // Clean delimited data doesn't need OCR
+    const parsed = parseDelimited(buffer);
+    console.log(`📄 Parsed CSV locally (delimiter ${JSON.stringify(parsed.delimiter)}, ${parsed.encoding})`);
+    return { tables: parsed.tables, tablesDetected: parsed.tables.length, service: 'Local CSV parser' };
+  }
+};
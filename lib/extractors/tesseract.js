@@ -0,0 +1,131 @@
+// lib/extractors/tesseract.js - Local OCR of photos and scans with Tesseract
+import { detectHeaderRows } from '../mapping.js';
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|tiff?|bmp|webp)$/i;
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'spa+eng';
+
+// Words further apart than this many line heights start a new cell
+const CELL_GAP = 1.2;
+
+// tesseract.js is an optional dependency - loaded on first use
+let tesseract;
+async function loadTesseract() {
+  if (tesseract === undefined) {
+    try {
+      tesseract = (await import('tesseract.js')).default;
+    } catch {
+      tesseract = null;
+    }
+  }
+  return tesseract;
+}
+
+export const tesseractExtractor = {
+  name: 'tesseract',
+  description: 'Local OCR with Tesseract (PNG, JPG, TIFF, BMP) - no network needed once language data is cached',
+
+  async isConfigured() {
+    return Boolean(await loadTesseract());
+  },
+
+  async canHandle({ filename }) {
+    return IMAGE_EXTENSIONS.test(filename) && Boolean(await loadTesseract());
+  },
+
+  async extract({ buffer }) {
+    const { createWorker } = await loadTesseract();
+    const worker = await createWorker(OCR_LANGUAGES, 1, {
+      ...(process.env.TESSERACT_LANG_PATH && { langPath: process.env.TESSERACT_LANG_PATH })
+    });
+
+    try {
+      console.log('⏳ Running local OCR...');
+      const { data } = await worker.recognize(buffer, {}, { blocks: true });
+      const lines = (data.blocks || [])
+        .flatMap(block => block.paragraphs)
+        .flatMap(paragraph => paragraph.lines);
+
+      const table = tableFromLines(lines);
+      console.log(`✅ OCR complete: ${lines.length} line(s)`);
+      return { tables: table ? [table] : [], tablesDetected: table ? 1 : 0, service: 'Local OCR (Tesseract)' };
+    } finally {
+      await worker.terminate();
+    }
+  }
+};
+
+// Tesseract reads lines, not tables. Each line is split into cells at wide
+// gaps between words, and cells are lined up under the columns of the widest
+// line near the top - usually the header row
+export function tableFromLines(lines) {
+  const rows = lines
+    .map(line => splitCells(line.words || []))
+    .filter(cells => cells.length > 0);
+  if (rows.length === 0) return null;
+
+  const columns = rows.slice(0, 15).reduce((widest, cells) => cells.length > widest.length ? cells : widest, []);
+  const grid = [];
+  const confidences = [];
+
+  rows.forEach(cells => {
+    const row = columns.map(() => '');
+    const rowConfidence = columns.map(() => null);
+    cells.forEach(cell => {
+      const column = nearestColumn(columns, cell);
+      row[column] = row[column] ? `${row[column]} ${cell.text}` : cell.text;
+      rowConfidence[column] = Math.min(rowConfidence[column] ?? 1, cell.confidence);
+    });
+    grid.push(row);
+    confidences.push(rowConfidence);
+  });
+
+  const { headerRowIndex, headerRowCount, headers } = detectHeaderRows(grid);
+  const firstDataRow = headerRowIndex + headerRowCount;
+
+  return {
+    source: 'ocr',
+    tableIndex: 0,
+    headers,
+    rows: grid.slice(firstDataRow),
+    titleRows: grid.slice(0, headerRowIndex),
+    rowOrigins: grid.slice(firstDataRow).map(() => ({ page: 1, tableIndex: 0 })),
+    rowConfidences: confidences.slice(firstDataRow),
+    headerRowIndex,
+    headerRowCount
+  };
+}
+
+function splitCells(words) {
+  const sorted = words.filter(word => word.text.trim()).sort((a, b) => a.bbox.x0 - b.bbox.x0);
+  const cells = [];
+
+  sorted.forEach(word => {
+    const height = word.bbox.y1 - word.bbox.y0;
+    const previous = cells[cells.length - 1];
+    const confidence = word.confidence / 100;
+
+    if (previous && word.bbox.x0 - previous.x1 <= height * CELL_GAP) {
+      previous.text += ` ${word.text}`;
+      previous.x1 = word.bbox.x1;
+      previous.confidence = Math.min(previous.confidence, confidence);
+    } else {
+      cells.push({ text: word.text, x0: word.bbox.x0, x1: word.bbox.x1, confidence });
+    }
+  });
+
+  return cells;
+}
+
+// The column the cell overlaps most, or the closest one
+function nearestColumn(columns, cell) {
+  let best = 0;
+  let bestScore = -Infinity;
+  columns.forEach((column, index) => {
+    const overlap = Math.min(column.x1, cell.x1) - Math.max(column.x0, cell.x0);
+    if (overlap > bestScore) {
+      best = index;
+      bestScore = overlap;
+    }
+  });
+  return best;
+}
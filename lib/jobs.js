@@ -0,0 +1,106 @@
+// lib/jobs.js - In-memory background jobs with stage tracking
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+// Stages a job moves through; done and failed are final
+export const JOB_STAGES = ['uploaded', 'analyzing', 'mapping', 'done', 'failed'];
+
+const CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY || '2'));
+const RETENTION_MS = parseFloat(process.env.JOB_RETENTION_HOURS || '24') * 3600 * 1000;
+const MAX_JOBS = 200;
+
+const jobs = new Map();
+const queue = [];
+const events = new EventEmitter();
+events.setMaxListeners(0);
+let running = 0;
+
+// Queue `run(report)`; report(stage, message) moves the job forward and its
+// return value becomes the job's result
+export function createJob({ filename, run }) {
+  pruneJobs();
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    filename,
+    stage: 'uploaded',
+    message: 'Waiting to start',
+    history: [{ stage: 'uploaded', message: 'Waiting to start', at: now }],
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null
+  };
+  jobs.set(job.id, job);
+  queue.push({ job, run });
+  drainQueue();
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+export function listJobs() {
+  return [...jobs.values()].reverse().map(summarizeJob);
+}
+
+// A job without its (possibly large) result
+export function summarizeJob(job) {
+  const { result, ...summary } = job;
+  return { ...summary, hasResult: result !== null };
+}
+
+export function isFinished(job) {
+  return job.stage === 'done' || job.stage === 'failed';
+}
+
+// listener(job) is called on every stage change; returns an unsubscribe
+export function subscribe(id, listener) {
+  events.on(id, listener);
+  return () => events.off(id, listener);
+}
+
+function updateJob(job, stage, message, changes = {}) {
+  const now = new Date().toISOString();
+  Object.assign(job, changes, { stage, message: message || null, updatedAt: now });
+  job.history.push({ stage, message: message || null, at: now });
+  if (isFinished(job)) job.finishedAt = now;
+  events.emit(job.id, job);
+}
+
+function drainQueue() {
+  while (running < CONCURRENCY && queue.length > 0) {
+    const { job, run } = queue.shift();
+    running++;
+    runJob(job, run).finally(() => {
+      running--;
+      drainQueue();
+    });
+  }
+}
+
+async function runJob(job, run) {
+  try {
+    const result = await run((stage, message) => updateJob(job, stage, message));
+    updateJob(job, 'done', 'Finished', { result });
+  } catch (error) {
+    console.error(`❌ Job ${job.id} failed:`, error);
+    updateJob(job, 'failed', error.message, { error: { message: error.message, ...(error.details && { details: error.details }) } });
+  }
+}
+
+// Finished jobs are kept for JOB_RETENTION_HOURS, and at most MAX_JOBS
+function pruneJobs() {
+  const cutoff = Date.now() - RETENTION_MS;
+  jobs.forEach((job, id) => {
+    if (isFinished(job) && Date.parse(job.finishedAt) < cutoff) jobs.delete(id);
+  });
+
+  for (const [id, job] of jobs) {
+    if (jobs.size < MAX_JOBS) break;
+    if (isFinished(job)) jobs.delete(id);
+  }
+}
@@ -0,0 +1,25 @@
+// lib/json-file.js - Small JSON files used for local persistence
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Local data lives under DATA_DIR (default: data/ in the application
+// folder, wherever the process was started from)
+export const DATA_DIR = process.env.DATA_DIR || fileURLToPath(new URL('../data', import.meta.url));
+
+export async function readJsonFile(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+// Write to a temp file first so a crash never leaves half a file behind
+export async function writeJsonFile(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+  await fs.rename(tempPath, filePath);
+}
@@ -0,0 +1,213 @@
+// lib/labels.js - Printable asset tag sheets (PDF) with a QR code per item
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import { assetIdFor, fingerprintItem, unitAssetIdsFor } from './reconcile.js';
+
+// JSON or YAML, chosen by file extension
+const DEFAULT_CONFIG_PATH = process.env.LABEL_CONFIG || fileURLToPath(new URL('../config/labels.json', import.meta.url));
+
+// Layout sizes are given in millimetres; PDF points are 1/72 inch
+const POINTS_PER_MM = 72 / 25.4;
+
+const PAGE_SIZES = ['A4', 'LETTER', 'LEGAL', 'A5'];
+const LAYOUT_FIELDS = ['columns', 'rows', 'labelWidth', 'labelHeight', 'marginTop', 'marginLeft', 'horizontalPitch', 'verticalPitch'];
+
+// Inside each label, around the QR code and text
+const LABEL_PADDING_MM = 2;
+const MAX_FONT_SIZE = 9;
+const MIN_FONT_SIZE = 5;
+const LINE_HEIGHT = 1.2;
+
+// One print job; a larger batch should be split
+export const MAX_LABELS = 2000;
+
+let config = null;
+
+export function loadLabelLayouts(configPath = DEFAULT_CONFIG_PATH) {
+  const raw = fs.readFileSync(configPath, 'utf8');
+  const parsed = /\.ya?ml$/i.test(configPath) ? yaml.load(raw) : JSON.parse(raw);
+
+  const layouts = {};
+  Object.entries(parsed.layouts || {}).forEach(([name, layout]) => {
+    const page = (layout.page || 'A4').toUpperCase();
+    if (!PAGE_SIZES.includes(page)) {
+      throw new Error(`Label layout "${name}" has unknown page size "${layout.page}" - use ${PAGE_SIZES.join(', ')}`);
+    }
+    const missing = LAYOUT_FIELDS.filter(field => !(layout[field] > 0));
+    if (missing.length > 0) {
+      throw new Error(`Label layout "${name}" needs positive ${missing.join(', ')}`);
+    }
+    layouts[name] = { name, description: layout.description || name, ...layout, page };
+  });
+
+  const defaultLayout = parsed.defaultLayout || Object.keys(layouts)[0];
+  if (!layouts[defaultLayout]) {
+    throw new Error(`Default label layout "${defaultLayout}" is not one of the layouts`);
+  }
+
+  config = { source: configPath, defaultLayout, qrContent: parsed.qrContent || '{assetId}', layouts };
+  console.log(`🔖 Loaded ${Object.keys(layouts).length} label layout(s) from ${configPath}`);
+  return config;
+}
+
+function getConfig() {
+  return config || loadLabelLayouts();
+}
+
+// Layouts for the UI and GET /label-layouts
+export function getLabelLayouts() {
+  const { defaultLayout, layouts } = getConfig();
+  return {
+    defaultLayout,
+    layouts: Object.values(layouts).map(({ name, description, page, columns, rows, labelWidth, labelHeight }) => ({
+      name, description, page, perSheet: columns * rows, labelWidth, labelHeight
+    }))
+  };
+}
+
+// One label per physical asset: a row with quantity 3 that wasn't expanded
+// into units gets three labels, each with its own unit's asset id. Items
+// posted without an asset id get one derived from their serial number, or
+// else their project, brand, model and name, so printing the same item again
+// gives the same tag. Throws for an item with neither
+export function buildLabels(items, { perUnit = true } = {}) {
+  return items.flatMap(item => {
+    const withId = item.assetId ? item : { ...item, assetId: derivedAssetId(item) };
+    const unitIds = perUnit ? unitAssetIdsFor(withId) : [];
+    if (unitIds.length === 0) return [labelFor(withId, withId.assetId)];
+
+    return unitIds.map((assetId, index) =>
+      labelFor({ ...withId, unitNumber: index + 1, unitCount: unitIds.length }, assetId)
+    );
+  });
+}
+
+function derivedAssetId(item) {
+  const { serialKey, identityKey } = fingerprintItem(item);
+  if (!serialKey && !(item.itemName || '').toString().trim()) {
+    throw new Error('Items without an asset id need an item name or serial number');
+  }
+  return assetIdFor(`fingerprint:${serialKey || identityKey}`);
+}
+
+function labelFor(item, assetId) {
+  return {
+    assetId,
+    itemName: item.itemName || '',
+    category: [item.category, item.subcategory].filter(Boolean).join(' / '),
+    project: item.project || '',
+    serialNumber: item.serialNumber || '',
+    unit: item.unitNumber && item.unitCount ? `${item.unitNumber}/${item.unitCount}` : ''
+  };
+}
+
+// The PDF as a Buffer. startPosition skips labels already used on a partly
+// printed first sheet (1 = top left, counting across then down)
+export async function toLabelsPdf(labels, { layout: layoutName, startPosition = 1 } = {}) {
+  const { defaultLayout, layouts, qrContent } = getConfig();
+  const layout = layouts[layoutName || defaultLayout];
+  if (!layout) {
+    throw new Error(`Unknown label layout "${layoutName}" - available: ${Object.keys(layouts).join(', ')}`);
+  }
+  const perSheet = layout.columns * layout.rows;
+  const skip = Number.isInteger(startPosition) && startPosition >= 1 ? startPosition - 1 : NaN;
+  if (!(skip < perSheet)) {
+    throw new Error(`Start position must be between 1 and ${perSheet} for layout ${layout.name}`);
+  }
+  if (labels.length === 0) {
+    throw new Error('No items to label');
+  }
+  if (labels.length > MAX_LABELS) {
+    throw new Error(`${labels.length} labels is more than one job can print (max ${MAX_LABELS})`);
+  }
+
+  const doc = new PDFDocument({ size: layout.page, margin: 0, autoFirstPage: false, info: { Title: 'Asset labels' } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', resolve);
+    doc.on('error', reject);
+  });
+
+  labels.forEach((label, index) => {
+    const position = skip + index;
+    if (position % perSheet === 0 || index === 0) doc.addPage();
+
+    const slot = position % perSheet;
+    const x = (layout.marginLeft + (slot % layout.columns) * layout.horizontalPitch) * POINTS_PER_MM;
+    const y = (layout.marginTop + Math.floor(slot / layout.columns) * layout.verticalPitch) * POINTS_PER_MM;
+    drawLabel(doc, label, x, y, layout, qrContent);
+  });
+
+  doc.end();
+  await finished;
+  return Buffer.concat(chunks);
+}
+
+// QR code on the left, as tall as the label allows; the text lines on the
+// right in order of importance, dropping the last ones when they don't fit
+function drawLabel(doc, label, x, y, layout, qrContent) {
+  const padding = LABEL_PADDING_MM * POINTS_PER_MM;
+  const width = layout.labelWidth * POINTS_PER_MM;
+  const height = layout.labelHeight * POINTS_PER_MM;
+  const qrSize = Math.min(height - 2 * padding, width / 2);
+
+  drawQrCode(doc, fillTemplate(qrContent, label), x + padding, y + (height - qrSize) / 2, qrSize);
+
+  const textX = x + padding * 2 + qrSize;
+  const textWidth = width - qrSize - padding * 3;
+  const textHeight = height - 2 * padding;
+  const fontSize = Math.max(MIN_FONT_SIZE, Math.min(MAX_FONT_SIZE, textHeight / (5 * LINE_HEIGHT)));
+  const lineHeight = fontSize * LINE_HEIGHT;
+
+  const lines = [
+    { text: label.assetId, bold: true },
+    { text: label.itemName + (label.unit ? ` (${label.unit})` : ''), bold: true },
+    { text: label.category },
+    { text: label.project },
+    { text: label.serialNumber && `S/N ${label.serialNumber}` }
+  ].filter(line => line.text);
+
+  const fitting = lines.slice(0, Math.max(1, Math.floor(textHeight / lineHeight)));
+  let lineY = y + (height - fitting.length * lineHeight) / 2;
+  fitting.forEach((line, index) => {
+    doc.font(line.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize);
+    // The asset id is shrunk to fit rather than cut; other lines are cut
+    if (index === 0) {
+      doc.fontSize(Math.max(MIN_FONT_SIZE, Math.min(fontSize, fontSize * textWidth / doc.widthOfString(line.text))));
+    }
+    doc.text(truncate(doc, line.text, textWidth), textX, lineY, { lineBreak: false });
+    lineY += lineHeight;
+  });
+}
+
+function truncate(doc, text, width) {
+  if (doc.widthOfString(text) <= width) return text;
+  let length = text.length;
+  while (length > 1 && doc.widthOfString(`${text.slice(0, length).trimEnd()}…`) > width) length -= 1;
+  return `${text.slice(0, length).trimEnd()}…`;
+}
+
+// Modules drawn as squares rather than an embedded image, so the code stays
+// sharp at any print resolution
+function drawQrCode(doc, content, x, y, size) {
+  const { modules } = QRCode.create(content, { errorCorrectionLevel: 'M' });
+  const moduleSize = size / modules.size;
+
+  for (let row = 0; row < modules.size; row++) {
+    for (let column = 0; column < modules.size; column++) {
+      if (modules.get(row, column)) {
+        doc.rect(x + column * moduleSize, y + row * moduleSize, moduleSize, moduleSize);
+      }
+    }
+  }
+  doc.fill('black');
+}
+
+// "{assetId}" or a URL like "https://assets.example.com/{assetId}"
+function fillTemplate(template, label) {
+  return template.replace(/\{(\w+)\}/g, (match, field) => encodeURIComponent(label[field] ?? ''));
+}
@@ -0,0 +1,226 @@
+// lib/mapping.js - Header detection and column-to-field mapping
+
+// Broad patterns for flexible detection. Within each list, earlier patterns
+// are the stronger signal
+export const FIELD_PATTERNS = {
+  // Item name - most important field
+  itemName: [
+    'nombre', 'item', 'descripcion', 'description', 'herramienta', 'tool', 
+    'equipment', 'producto', 'product', 'material', 'articulo', 'name'
+  ],
+  
+  // Purchase date - flexible date detection
+  purchaseDate: [
+    'fecha', 'date', 'compra', 'purchase', 'año', 'year', 'adquisicion',
+    'fechacompra', 'purchasedate', 'bought', 'acquired'
+  ],
+  
+  // Project / work site, when the file lists several
+  project: ['proyecto', 'project', 'obra', 'site', 'jobsite', 'emplazamiento', 'centrodetrabajo'],
+
+  // Condition
+  condition: [
+    'condicion', 'condition', 'estado', 'state', 'status', 'situacion'
+  ],
+  
+  // Fields that help build description
+  brand: ['marca', 'brand', 'fabricante', 'manufacturer'],
+  model: ['modelo', 'model', 'tipo', 'type'],
+  serialNumber: ['serie', 'serial', 'numero', 'nserie', 'serialnumber'],
+  specifications: ['caracteristicas', 'specs', 'specifications', 'features', 'detalles', 'descripcion', 'description'],
+  supplier: ['proveedor', 'supplier', 'vendor'],
+  quantity: ['cant', 'cantidad', 'qty', 'quantity', 'unidades', 'units'],
+  
+  // Money
+  unitPrice: [
+    'preciounitario', 'unitprice', 'unitcost', 'costeunitario', 'costounitario',
+    'precio', 'price', 'coste', 'costo', 'cost', 'valorunitario', 'valor'
+  ],
+  totalValue: ['valortotal', 'importetotal', 'totalvalue', 'importe', 'total', 'subtotal', 'amount'],
+  currency: ['moneda', 'currency', 'divisa']
+};
+
+// Flexible field detection - works with ANY Excel format. Every
+// (field, column) pair is scored and the best pairs are assigned first, so
+// each column feeds at most one field and a weak match can't take a column
+// away from a strong one
+export function detectFieldMappings(headers) {
+  const normalizedHeaders = headers.map(normalizeHeader);
+  const fieldOrder = Object.keys(FIELD_PATTERNS);
+  const matches = [];
+
+  fieldOrder.forEach(field => {
+    normalizedHeaders.forEach((header, index) => {
+      const score = scoreHeaderMatch(header, FIELD_PATTERNS[field]);
+      if (score > 0) {
+        matches.push({ field, index, score });
+      }
+    });
+  });
+
+  matches.sort((a, b) =>
+    b.score - a.score ||
+    fieldOrder.indexOf(a.field) - fieldOrder.indexOf(b.field) ||
+    a.index - b.index
+  );
+
+  const mappings = {};
+  const usedColumns = new Set();
+  matches.forEach(({ field, index }) => {
+    if (mappings[field] === undefined && !usedColumns.has(index)) {
+      mappings[field] = index;
+      usedColumns.add(index);
+    }
+  });
+
+  return mappings;
+}
+
+// How sure detection is of each mapped column, 0-1: an exact header match
+// is certain, a header merely containing a pattern much less so
+export function scoreFieldMappings(headers, mappings) {
+  const certainty = {};
+  Object.entries(mappings).forEach(([field, index]) => {
+    if (!FIELD_PATTERNS[field] || index === undefined || index === null) return;
+    const score = scoreHeaderMatch(normalizeHeader(headers[index]), FIELD_PATTERNS[field]);
+    certainty[field] = Math.round(Math.max(0, score) / 4 * 100) / 100;
+  });
+  return certainty;
+}
+
+// Exact match > prefix > contains > header contained in a pattern
+function scoreHeaderMatch(header, rawPatterns) {
+  if (!header) return 0; // Blank headers would match every pattern
+
+  let best = 0;
+  rawPatterns.forEach((rawPattern, order) => {
+    const pattern = normalizeHeader(rawPattern);
+    let score = 0;
+    if (header === pattern) score = 4;
+    else if (header.startsWith(pattern)) score = 3;
+    else if (header.includes(pattern)) score = 2;
+    // Short headers like "N" or "A" are substrings of almost every pattern
+    else if (header.length >= 3 && pattern.includes(header)) score = 1;
+
+    if (score > 0) {
+      best = Math.max(best, score - order * 0.01);
+    }
+  });
+  return best;
+}
+
+// Lowercase and strip accents so "Condición" and "Año" match their patterns
+export function normalizeHeader(header) {
+  return (header || '').toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// How many rows from the top of a table may hold titles before the header
+const MAX_HEADER_SCAN = 15;
+
+// Find the header row(s) of a raw grid. Rows are scored by how many target
+// fields their cells map to; a grouping row directly above ("Datos" over
+// "Equipo / Marca / Modelo") is concatenated into a two-row header.
+// headerHintRows lists rows the extractor itself flagged as headers (Azure's
+// columnHeader cell kind)
+export function detectHeaderRows(grid, headerHintRows = []) {
+  const width = Math.max(0, ...grid.map(row => row.length));
+  const hints = new Set(headerHintRows);
+  const candidates = [];
+  const scanLimit = Math.min(grid.length, MAX_HEADER_SCAN);
+
+  for (let index = 0; index < scanLimit; index++) {
+    const row = grid[index];
+    if (countFilled(row) < Math.min(2, width)) continue;
+
+    candidates.push({
+      index,
+      count: 1,
+      headers: row,
+      score: scoreHeaderRow(row) + (hints.has(index) ? 2 : 0)
+    });
+
+    const above = grid[index - 1];
+    const hinted = hints.has(index - 1) && hints.has(index);
+    if (above && (isGroupRow(above, width) || hinted)) {
+      const combined = combineHeaderRows(above, row);
+      const score = scoreHeaderRow(combined);
+      // A header with gaps or repeated names looks like a grouping row too;
+      // joining it to the row below must add fields, or that row is data
+      if (hinted || score > scoreHeaderRow(above)) {
+        candidates.push({
+          index: index - 1,
+          count: 2,
+          headers: combined,
+          score: score + (hinted ? 2 : 0)
+        });
+      }
+    }
+  }
+
+  // Highest score wins; ties go to the two-row header (its grouping row only
+  // qualifies when it has gaps or repeats), then the earliest row
+  candidates.sort((a, b) => b.score - a.score || b.count - a.count || a.index - b.index);
+  const best = candidates[0];
+
+  if (!best || best.score <= 0) {
+    // Nothing looks like a header - keep the first populated row
+    const firstFilled = grid.findIndex(row => countFilled(row) >= Math.min(2, width));
+    const index = Math.max(firstFilled, 0);
+    return { headerRowIndex: index, headerRowCount: 1, headers: padRow(grid[index] || [], width) };
+  }
+
+  return {
+    headerRowIndex: best.index,
+    headerRowCount: best.count,
+    headers: padRow(best.headers, width)
+  };
+}
+
+// Number of distinct target fields a row maps to, minus a penalty for
+// values that look like data (numbers and dates) rather than labels
+function scoreHeaderRow(row) {
+  const fieldsMatched = Object.keys(detectFieldMappings(row)).length;
+  const dataLike = row.filter(cell => /^[\d\s.,\/:-]+$/.test((cell || '').toString().trim()) && /\d/.test(cell)).length;
+  return fieldsMatched - dataLike * 0.5;
+}
+
+// A grouping row labels several columns at once: it repeats values (merged
+// cells) or leaves gaps, but is not a banner spanning the whole table or a
+// title sitting in a single cell
+function isGroupRow(row, width) {
+  const values = row.map(cell => (cell || '').toString().trim());
+  const filled = values.filter(Boolean);
+  const distinct = new Set(filled);
+  if (filled.length === 0) return false;
+  if (filled.some(value => /^[\d\s.,\/:-]+$/.test(value))) return false;
+  // "Obra:" | "Torre Norte" is a label and its value, not column groups
+  if (filled.some(value => value.endsWith(':'))) return false;
+
+  if (distinct.size === 1) {
+    return filled.length >= 2 && filled.length < width;
+  }
+  return distinct.size < width;
+}
+
+function combineHeaderRows(upper, lower) {
+  const width = Math.max(upper.length, lower.length);
+  const combined = [];
+  for (let col = 0; col < width; col++) {
+    const top = (upper[col] || '').toString().trim();
+    const bottom = (lower[col] || '').toString().trim();
+    combined.push(top && bottom && top !== bottom ? `${top} ${bottom}` : (bottom || top));
+  }
+  return combined;
+}
+
+function countFilled(row) {
+  return (row || []).filter(cell => (cell || '').toString().trim()).length;
+}
+
+function padRow(row, width) {
+  return Array.from({ length: width }, (_, col) => (row[col] || '').toString());
+}
@@ -0,0 +1,125 @@
+// lib/movements.js - Where equipment is: per-project location reports and
+// site inventories checked against what the store expects at each site
+
+// "Where is everything": stored items grouped by project, with quantities
+// per location and who has what checked out. project limits it to one
+export function locationReport(items, { project } = {}) {
+  const groups = new Map();
+  items
+    .filter(item => !project || item.project === project)
+    .forEach(item => {
+      const key = item.project || 'No project';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    });
+
+  const projects = [...groups.entries()].map(([name, projectItems]) => ({
+    project: name,
+    items: projectItems.length,
+    quantity: sumQuantity(projectItems),
+    checkedOut: projectItems.filter(item => item.custodian).length,
+    locations: tally(projectItems, item => item.location || 'Unassigned', 'location'),
+    custodians: tally(projectItems.filter(item => item.custodian), item => item.custodian, 'custodian'),
+    assets: projectItems.map(describeAsset)
+  }));
+
+  return { generatedAt: new Date().toISOString(), projects };
+}
+
+// Compare a re-uploaded site inventory with the store. Every item in the
+// file is matched to a stored item - by serial number, otherwise brand,
+// model and name wherever it is stored - and the result is:
+//   found      - expected at this project and listed
+//   relocated  - listed here but stored at another project
+//   unknown    - not in the store at all
+//   missing    - expected here, not listed
+//   checkedOut - expected here, not listed, but checked out to someone
+// project overrides the project each file item was assigned
+export function checkSiteInventory(fileItems, storedItems, { project } = {}) {
+  const listed = fileItems.map(item => ({ item, site: project || item.project }));
+  const sites = new Set(listed.map(entry => entry.site));
+
+  const bySerial = groupBy(storedItems, item => item.fingerprint && item.fingerprint.serialKey);
+  const byName = groupBy(storedItems, item => item.fingerprint && nameKey(item.fingerprint.identityKey));
+  const claimed = new Set();
+  const result = { sites: [...sites], found: [], relocated: [], unknown: [], missing: [], checkedOut: [] };
+
+  listed.forEach(({ item, site }) => {
+    const { serialKey, identityKey } = item.fingerprint || {};
+    // Two serial numbers that differ are two assets, whatever their names
+    const candidates = (serialKey && bySerial.get(serialKey)) ||
+      (byName.get(nameKey(identityKey)) || []).filter(candidate => !serialKey || !candidate.fingerprint.serialKey);
+    const available = candidates.filter(candidate => !claimed.has(candidate.id));
+    // An item stored at this site is the better match for a generic name
+    const stored = available.find(candidate => candidate.project === site) || available[0];
+
+    if (!stored) {
+      result.unknown.push({ sourceId: item.id, itemName: item.itemName, site, quantity: item.quantity ?? 1 });
+      return;
+    }
+    claimed.add(stored.id);
+
+    const entry = {
+      ...describeAsset(stored),
+      sourceId: item.id,
+      site,
+      quantityListed: item.quantity ?? 1,
+      matchedOn: serialKey && stored.fingerprint.serialKey === serialKey ? 'serialNumber' : 'name'
+    };
+    (stored.project === site ? result.found : result.relocated).push(entry);
+  });
+
+  storedItems
+    .filter(item => sites.has(item.project) && !claimed.has(item.id))
+    .forEach(item => {
+      (item.custodian ? result.checkedOut : result.missing).push(describeAsset(item));
+    });
+
+  result.counts = Object.fromEntries(
+    ['found', 'relocated', 'unknown', 'missing', 'checkedOut'].map(key => [key, result[key].length])
+  );
+  return result;
+}
+
+function describeAsset(item) {
+  return {
+    id: item.id,
+    assetId: item.assetId || null,
+    itemName: item.itemName,
+    category: item.category,
+    project: item.project,
+    location: item.location || null,
+    custodian: item.custodian || null,
+    condition: item.condition,
+    quantity: item.quantity ?? 1,
+    serialNumber: item.serialNumber || null
+  };
+}
+
+// The identity key without its project: "torrenorte|bosch|gsb13|taladro"
+// is "bosch|gsb13|taladro", so an item is recognized at any site
+function nameKey(identityKey) {
+  return identityKey ? identityKey.split('|').slice(1).join('|') : null;
+}
+
+function sumQuantity(items) {
+  return items.reduce((sum, item) => sum + (item.quantity ?? 1), 0);
+}
+
+function tally(items, keyOf, label) {
+  const groups = groupBy(items, keyOf);
+  return [...groups.entries()]
+    .map(([key, group]) => ({ [label]: key, items: group.length, quantity: sumQuantity(group) }))
+    .sort((a, b) => b.items - a.items);
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+}
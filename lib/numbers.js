@@ -0,0 +1,126 @@
+// lib/numbers.js - Quantity, price and currency parsing
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['U$S', 'USD'], ['S/', 'PEN'], ['R$', 'BRL'],
+  ['€', 'EUR'], ['£', 'GBP'], ['$', null]
+];
+
+const CURRENCY_CODES = ['EUR', 'USD', 'MXN', 'COP', 'CLP', 'ARS', 'PEN', 'BRL', 'GBP', 'UYU', 'GTQ', 'DOP'];
+
+const UNIT_WORDS = 'x|×|uds?\\.?|unid\\.?|unidades|units?|pcs?\\.?|pzas?\\.?|piezas|ea';
+
+// Decide which character is the decimal separator for a whole column.
+// A separator followed by only one or two digits at the end ("12,5",
+// "1.234,56", "99.90") can only be a decimal mark
+export function detectDecimalSeparator(values) {
+  let comma = 0;
+  let dot = 0;
+
+  values.forEach(value => {
+    const token = numericToken(value);
+    if (/,\d{1,2}$/.test(token)) comma++;
+    else if (/\.\d{1,2}$/.test(token)) dot++;
+  });
+
+  if (comma > dot) return ',';
+  if (dot > comma) return '.';
+  return null;
+}
+
+function numericToken(value) {
+  const match = (value ?? '').toString().match(/\d[\d.,'\s]*/);
+  return match ? match[0].replace(/[\s']+/g, '').replace(/[.,]+$/, '') : '';
+}
+
+// Parse "1.234,56", "1,234.56", "1 234,56" or "25 uds" into a number.
+// Without a column hint, a lone separator followed by exactly three digits
+// is read as a thousands separator
+export function parseNumber(value, decimalSeparator = null) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  const text = numericToken(value);
+  if (!text) return null;
+  const negative = /^\s*(-|\()/.test(value.toString().replace(/^[^\d(-]*/, ''));
+
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  let decimal = null;
+
+  if (lastComma >= 0 && lastDot >= 0) {
+    decimal = lastComma > lastDot ? ',' : '.';
+  } else if (lastComma >= 0 || lastDot >= 0) {
+    const separator = lastComma >= 0 ? ',' : '.';
+    const occurrences = text.split(separator).length - 1;
+    const digitsAfter = text.length - text.lastIndexOf(separator) - 1;
+
+    if (occurrences > 1) {
+      decimal = null;
+    } else if (decimalSeparator) {
+      decimal = decimalSeparator === separator ? separator : null;
+    } else {
+      decimal = digitsAfter === 3 ? null : separator;
+    }
+  }
+
+  const thousands = decimal === ',' ? '.' : decimal === '.' ? ',' : null;
+  let normalized = text;
+  if (thousands) normalized = normalized.split(thousands).join('');
+  if (!decimal) normalized = normalized.replace(/[.,]/g, '');
+  else normalized = normalized.replace(decimal, '.');
+
+  const number = parseFloat(normalized);
+  if (!Number.isFinite(number)) return null;
+  return negative ? -number : number;
+}
+
+// Amount and currency from a price cell such as "1.234,56 €" or "USD 99.90"
+export function parseMoney(value, decimalSeparator = null) {
+  const text = (value || '').toString().trim();
+  if (!text) return { amount: null, currency: null };
+
+  return {
+    amount: parseNumber(text, decimalSeparator),
+    currency: detectCurrency(text)
+  };
+}
+
+export function detectCurrency(value) {
+  const text = (value || '').toString().trim();
+  if (!text) return null;
+
+  const upper = text.toUpperCase();
+  const code = CURRENCY_CODES.find(candidate => new RegExp(`(^|[^A-Z])${candidate}([^A-Z]|$)`).test(upper));
+  if (code) return code;
+
+  const symbol = CURRENCY_SYMBOLS.find(([sign]) => text.includes(sign));
+  if (symbol) return symbol[1] || process.env.DEFAULT_CURRENCY || 'USD';
+
+  return null;
+}
+
+export function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Pull a quantity out of an item name: "3 x Taladro Bosch", "Casco x25",
+// "Casco — 25 units", "Guantes (10 uds)"
+export function extractQuantityFromName(name) {
+  const text = (name || '').toString().trim();
+  let match;
+
+  if ((match = text.match(new RegExp(`^(\\d+)\\s*(?:${UNIT_WORDS})\\s+(.+)$`, 'i')))) {
+    return { quantity: parseInt(match[1]), name: match[2].trim() };
+  }
+  if ((match = text.match(/^(.+?)(?:\s|[-—–:,(])\s*[x×]\s*(\d+)\)?$/i))) {
+    return { quantity: parseInt(match[2]), name: cleanName(match[1]) };
+  }
+  if ((match = text.match(new RegExp(`^(.+?)\\s*[-—–:,(]\\s*(\\d+)\\s*(?:${UNIT_WORDS})\\)?$`, 'i')))) {
+    return { quantity: parseInt(match[2]), name: cleanName(match[1]) };
+  }
+
+  return null;
+}
+
+function cleanName(name) {
+  return name.replace(/[\s\-—–:,(]+$/, '').trim();
+}
@@ -0,0 +1,527 @@
+// lib/pipeline.js - From extracted tables to inventory items: column
+// mapping, categories, quantities, pricing, confidence and validation.
+// Shared by the server and the command-line tool (cli.js)
+import crypto from 'crypto';
+import { FIELD_PATTERNS, detectFieldMappings, scoreFieldMappings } from './mapping.js';
+import { findProfileForHeaders, sanitizeMappings } from './profiles.js';
+import { categorizeItem, getCategories } from './categories.js';
+import { getConditions, normalizeCondition } from './conditions.js';
+import { validateItems, getValidationRules } from './validation.js';
+import { normalizeDate, resolveDateOrder } from './dates.js';
+import { findItemsByFingerprint, listProjects } from './store.js';
+import { fingerprintItem, reconcileItems, assetIdFor } from './reconcile.js';
+import { classifyItem } from './classifier.js';
+import { fieldConfidence, combineConfidence } from './confidence.js';
+import { selectExtractor } from './extractors/index.js';
+import { TEXT_MAPPING_CERTAINTY } from './text-items.js';
+import { loadKnownProjects, resolveProject, resolveRowProject, projectFromDocument } from './projects.js';
+import { parseNumber, parseMoney, detectCurrency, detectDecimalSeparator, extractQuantityFromName, roundMoney } from './numbers.js';
+
+export const DATE_LOCALE = process.env.DATE_LOCALE || 'auto';
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || null;
+// 'field' keeps one row per line with a quantity, 'explode' one item per unit
+export const QUANTITY_MODE = process.env.QUANTITY_MODE === 'explode' ? 'explode' : 'field';
+const MAX_EXPLODED_UNITS = 500;
+
+// YOUR WEBAPP'S TARGET FIELDS (from your original requirements)
+export const TARGET_FIELDS = {
+  // Required fields
+  project: 'Project name or work site',
+  itemName: 'Tool/equipment name or description', 
+  category: 'Equipment category (auto-assigned)',
+  
+  // Optional fields
+  condition: 'Current condition, from the configured list (New, Good, Fair, Poor...)',
+  purchaseDate: 'Date purchased (YYYY-MM-DD format)',
+  description: 'Additional details and specifications (for display)',
+  brand: 'Manufacturer',
+  model: 'Model or type',
+  serialNumber: 'Serial number',
+  supplier: 'Supplier or vendor',
+  specifications: 'Technical specifications',
+  extraFields: 'Other columns of the file, keyed by their header'
+};
+
+// Mapped columns returned as structured fields on each item
+const ATTRIBUTE_FIELDS = ['brand', 'model', 'serialNumber', 'supplier', 'specifications'];
+
+// Build description from available fields
+function buildDescription(row, mappings, headers) {
+  const parts = [];
+  
+  const descriptionFields = ['brand', 'model', 'serialNumber', 'specifications', 'supplier', 'quantity'];
+  
+  descriptionFields.forEach(field => {
+    const value = getFieldValue(row, mappings[field]);
+    if (value && value.trim()) {
+      const fieldName = headers[mappings[field]] || field;
+      parts.push(`${fieldName}: ${value}`);
+    }
+  });
+  
+  return parts.join(' | ') || 'No additional details available';
+}
+
+function buildAttributes(row, mappings) {
+  return Object.fromEntries(ATTRIBUTE_FIELDS.map(field => [field, getFieldValue(row, mappings[field]) || null]));
+}
+
+// Columns no field is mapped to, so nothing in the file is lost. Blank
+// headers become "Column 3" and repeated ones get a number
+function buildExtraFields(row, mappings, headers) {
+  const mapped = new Set(Object.values(mappings).filter(index => index !== undefined && index !== null));
+  const extra = {};
+
+  headers.forEach((header, index) => {
+    const value = getFieldValue(row, index);
+    if (mapped.has(index) || !value) return;
+
+    const base = (header || '').toString().trim() || `Column ${index + 1}`;
+    let key = base;
+    for (let n = 2; key in extra; n++) key = `${base} (${n})`;
+    extra[key] = value;
+  });
+  return extra;
+}
+
+function getFieldValue(row, index) {
+  return index !== undefined ? (row[index] || '').toString().trim() : '';
+}
+
+// Read every file into tables and map them as one extraction. Each file's
+// tables carry its own project (see lib/projects.js), and a file that fails
+// is reported in `files` without sinking the rest of a batch.
+// options.profile, a saved mapping profile, maps every table whatever its
+// headers. report(stage, message) follows progress for background jobs
+export async function extractFiles({ files, name }, options, report = () => {}) {
+  const knownProjects = loadKnownProjects(listProjects());
+  const tables = [];
+  const fileStats = [];
+  let tablesDetected = 0;
+
+  for (const [position, file] of files.entries()) {
+    const label = files.length > 1 ? `${file.filename} (${position + 1} of ${files.length})` : file.filename;
+    try {
+      const extractor = await selectExtractor(file, options.extractor);
+      report('analyzing', `Reading ${label} with the ${extractor.name} extractor`);
+      const result = await extractor.extract(file, {
+        onProgress: message => report('analyzing', `${label}: ${message}`)
+      });
+
+      const project = resolveProject({
+        document: projectFromDocument(result.documentText, result.tables),
+        upload: options.project,
+        filename: file.filename
+      }, knownProjects);
+      result.tables.forEach(table => tables.push({ ...table, filename: file.filename, project }));
+      tablesDetected += result.tablesDetected;
+      fileStats.push({
+        filename: file.filename,
+        ...(file.archive && { archive: file.archive }),
+        projectName: project.name,
+        projectSource: project.source,
+        status: 'processed',
+        service: result.service,
+        tablesDetected: result.tablesDetected
+      });
+    } catch (error) {
+      if (files.length === 1) throw error;
+      console.error(`❌ ${file.filename}: ${error.message}`);
+      fileStats.push({
+        filename: file.filename,
+        ...(file.archive && { archive: file.archive }),
+        status: 'failed',
+        error: error.message
+      });
+    }
+  }
+
+  const processed = fileStats.filter(file => file.status === 'processed');
+  if (processed.length === 0) {
+    throw new Error(`None of the ${files.length} files could be processed`);
+  }
+
+  report('mapping', `Mapping ${tables.length} table(s)`);
+  const projects = [...new Set(processed.map(file => file.projectName))];
+  return {
+    id: crypto.randomUUID(),
+    filename: name,
+    projectName: projects.length === 1 ? projects[0] : null,
+    company: options.company,
+    dateLocale: options.dateLocale,
+    quantityMode: options.quantityMode,
+    service: [...new Set(processed.map(file => file.service))].join(', '),
+    files: fileStats,
+    knownProjects,
+    tablesDetected,
+    tables,
+    mappings: await resolveTableMappings(tables, options.profile, report)
+  };
+}
+
+// A saved profile for the same header row wins over automatic detection,
+// and a profile chosen for the whole run wins over both. Each table's
+// mapping is reported once, as "itemName ← Nombre, quantity ← Cant."
+async function resolveTableMappings(tables, chosenProfile = null, report = () => {}) {
+  const mappings = [];
+  for (const [position, tableData] of tables.entries()) {
+    const profile = chosenProfile || await findProfileForHeaders(tableData.headers);
+    const mapping = profile
+      ? { fieldMappings: sanitizeMappings(profile.mappings, tableData.headers.length), mappingSource: 'profile', profileName: profile.name }
+      : { fieldMappings: detectFieldMappings(tableData.headers), mappingSource: 'detected' };
+    if (profile) console.log(`🧭 Applying mapping profile "${profile.name}"`);
+
+    const columns = Object.entries(mapping.fieldMappings)
+      .map(([field, column]) => `${field} ← ${tableData.headers[column] || `column ${column + 1}`}`);
+    const table = [tableData.filename, tableData.sheetName].filter(Boolean).join(' / ') || `Table ${position + 1}`;
+    report('mapping', `${table}: ${columns.length > 0 ? columns.join(', ') : 'no columns mapped'}`);
+    mappings.push(mapping);
+  }
+  return mappings;
+}
+
+export function buildExtractionResponse(extraction) {
+  const { tables, mappings, projectName } = extraction;
+  const extractedItems = [];
+  let totalConfidence = 0;
+
+  tables.forEach((tableData, position) => {
+    const { fieldMappings, mappingSource } = mappings[position];
+    const items = mapTableToItems(tableData, fieldMappings, {
+      extractionId: extraction.id,
+      mappingCertainty: describeMappingCertainty(tableData, fieldMappings, mappingSource),
+      project: tableData.project,
+      knownProjects: extraction.knownProjects,
+      startIndex: extractedItems.length,
+      company: extraction.company,
+      dateLocale: extraction.dateLocale,
+      quantityMode: extraction.quantityMode
+    });
+    items.forEach(item => {
+      totalConfidence += item.confidence;
+      extractedItems.push(item);
+    });
+  });
+
+  const validation = validateItems(extractedItems, validationContext(extraction));
+
+  // Compare against what's already stored so re-uploads don't double count
+  const reconciliation = reconcileItems(
+    validation.items,
+    findItemsByFingerprint(extractedItems.map(item => item.fingerprint))
+  );
+
+  const avgConfidence = extractedItems.length > 0 ? Math.round(totalConfidence / extractedItems.length) : 0;
+
+  return {
+    success: true,
+    extractionId: extraction.id,
+    extractedItems: reconciliation.items,
+    totalItems: extractedItems.length,
+    projectName,
+    summary: buildSummary(extractedItems),
+    files: (extraction.files || []).map(file => describeFile(file, extractedItems)),
+    reconciliation: reconciliation.counts,
+    validation: validation.summary,
+    processingInfo: {
+      service: extraction.service,
+      company: extraction.company,
+      dateLocale: extraction.dateLocale,
+      quantityMode: extraction.quantityMode,
+      tablesDetected: extraction.tablesDetected,
+      tablesProcessed: tables.length,
+      tables: tables.map((tableData, position) => describeTable(tableData, mappings[position])),
+      mappableFields: Object.keys(FIELD_PATTERNS),
+      confidenceScore: avgConfidence,
+      targetFields: Object.keys(TARGET_FIELDS),
+      conditions: getConditions(),
+      validationRules: getValidationRules(),
+      fieldMappingSuccess: extractedItems.length > 0
+    }
+  };
+}
+
+// How sure each field's column is, 0-1, or null when a person confirmed the
+// mapping (a profile or a manual remap). Fields read from free text are
+// never certain
+function describeMappingCertainty(tableData, fieldMappings, mappingSource) {
+  if (tableData.extractionMethod === 'text') {
+    return Object.fromEntries(Object.keys(fieldMappings).map(field => [field, TEXT_MAPPING_CERTAINTY]));
+  }
+  return mappingSource === 'detected' ? scoreFieldMappings(tableData.headers, fieldMappings) : null;
+}
+
+function mapTableToItems(tableData, fieldMappings, options) {
+  const { extractionId, project: tableProject, knownProjects, startIndex = 0, company, dateLocale, quantityMode, mappingCertainty } = options;
+  const items = [];
+  if (tableData.headers.length === 0 || tableData.rows.length === 0) return items;
+
+  const columnValues = field => tableData.rows.map(row => getFieldValue(row, fieldMappings[field]));
+
+  // Day/month order and decimal separator are decided once per column, not per cell
+  const dateOrder = resolveDateOrder(columnValues('purchaseDate'), dateLocale);
+  const decimalSeparator = detectDecimalSeparator([
+    ...columnValues('unitPrice'), ...columnValues('totalValue'), ...columnValues('quantity')
+  ]);
+
+  const source = tableData.source || 'azure_ai';
+  const idPrefix = { spreadsheet: 'sheet', csv: 'csv', ocr: 'ocr', text: 'text' }[source] || 'azure';
+
+  tableData.rows.forEach((row, index) => {
+    if (row.some(cell => cell.trim())) {
+      const placeholderName = !getFieldValue(row, fieldMappings.itemName);
+      let itemName = placeholderName ? `Item ${index + 1}` : getFieldValue(row, fieldMappings.itemName);
+      const origin = (tableData.rowOrigins && tableData.rowOrigins[index]) || {};
+
+      // "Casco — 25 units" carries its quantity in the name when there's no column
+      let quantity = parseNumber(getFieldValue(row, fieldMappings.quantity), decimalSeparator);
+      let quantityFromName = false;
+      if (quantity === null) {
+        const fromName = extractQuantityFromName(itemName);
+        if (fromName) {
+          quantity = fromName.quantity;
+          itemName = fromName.name;
+          quantityFromName = true;
+        }
+      }
+
+      const attributes = buildAttributes(row, fieldMappings);
+      const categorized = assignCategory({ itemName, ...attributes }, company);
+      const project = resolveRowProject(getFieldValue(row, fieldMappings.project), tableProject, knownProjects);
+      const purchaseDate = normalizeDate(getFieldValue(row, fieldMappings.purchaseDate), dateOrder);
+      const pricing = calculatePricing(row, fieldMappings, quantity, decimalSeparator);
+      const condition = normalizeCondition(getFieldValue(row, fieldMappings.condition));
+      // Parsing problems; the validation rules add theirs over the whole file
+      const validationIssues = [];
+      if (purchaseDate.warning) {
+        validationIssues.push({
+          field: 'purchaseDate',
+          message: purchaseDate.warning,
+          severity: 'warning'
+        });
+      }
+
+      // How cleanly each value was parsed, 0-1; fields not listed are taken as-is
+      const parsed = amount => amount !== null ? 1 : 0;
+      const { confidence, breakdown } = calculateItemConfidence(row, fieldMappings, {
+        ocr: tableData.rowConfidences && tableData.rowConfidences[index],
+        mappingCertainty,
+        parse: {
+          quantity: quantityFromName ? 0.8 : parsed(quantity),
+          purchaseDate: purchaseDate.date ? (purchaseDate.warning ? 0.6 : 1) : 0,
+          condition: { exact: 1, synonym: 0.8 }[condition.match] ?? 0,
+          unitPrice: parsed(parseMoney(getFieldValue(row, fieldMappings.unitPrice), decimalSeparator).amount),
+          totalValue: parsed(parseMoney(getFieldValue(row, fieldMappings.totalValue), decimalSeparator).amount)
+        },
+        derivedFrom: quantityFromName ? { quantity: 'itemName' } : {}
+      });
+
+      // Map to YOUR webapp fields
+      const item = {
+        project: project.name,
+        projectSource: project.source,
+        ...(project.matched && project.raw !== project.name && { projectMatchedFrom: project.raw }),
+        itemName: itemName.trim(),
+        ...(placeholderName && { placeholderName }),
+        ...categorized,
+        condition: condition.condition,
+        ...(condition.raw !== null && { conditionRaw: condition.raw }),
+        purchaseDate: purchaseDate.date,
+        description: buildDescription(row, fieldMappings, tableData.headers),
+        ...attributes,
+        extraFields: buildExtraFields(row, fieldMappings, tableData.headers),
+        quantity: quantity ?? 1,
+        ...pricing,
+        confidence,
+        confidenceBreakdown: breakdown,
+        validationIssues,
+        source,
+        extractionMethod: tableData.extractionMethod || 'table',
+        ...(tableData.filename && { sourceFile: tableData.filename }),
+        sourcePage: origin.page ?? null,
+        tableIndex: origin.tableIndex ?? tableData.tableIndex ?? 0,
+        ...(tableData.sheetName !== undefined && { sheetName: tableData.sheetName })
+      };
+
+      const units = quantityMode === 'explode' ? explodeQuantity(item) : [item];
+      units.forEach(unit => {
+        const id = `${idPrefix}_${startIndex + items.length}`;
+        items.push({
+          id,
+          ...unit,
+          // Stable while the extraction is reviewed; a stored match replaces it
+          assetId: assetIdFor(`${extractionId}:${id}`),
+          fingerprint: fingerprintItem(unit)
+        });
+      });
+    }
+  });
+
+  return items;
+}
+
+// The keyword rules' category, unless the classifier learned from review
+// corrections is sure of another. Its suggestion is kept either way so the
+// review grid can show it
+function assignCategory(item, company) {
+  const rules = categorizeItem(item.itemName, { company });
+  const suggestion = classifyItem(item, { allowed: getCategories({ company }).map(category => category.name) });
+  const categorySuggestion = suggestion && {
+    category: suggestion.category,
+    subcategory: suggestion.subcategory,
+    probability: suggestion.probability
+  };
+
+  if (suggestion && suggestion.confident) {
+    return {
+      category: suggestion.category,
+      subcategory: suggestion.subcategory,
+      matchedRule: null,
+      categorySource: 'classifier',
+      categorySuggestion
+    };
+  }
+  return { ...rules, categorySource: 'rules', ...(categorySuggestion && { categorySuggestion }) };
+}
+
+// Unit price, total value and currency. Whichever of unit price and total is
+// missing is derived from the other and the quantity
+function calculatePricing(row, mappings, quantity, decimalSeparator) {
+  const unit = parseMoney(getFieldValue(row, mappings.unitPrice), decimalSeparator);
+  const total = parseMoney(getFieldValue(row, mappings.totalValue), decimalSeparator);
+  const currencyCell = getFieldValue(row, mappings.currency);
+  const qty = quantity ?? 1;
+
+  const unitPrice = unit.amount ?? (total.amount !== null && qty ? roundMoney(total.amount / qty) : null);
+  const totalValue = total.amount ?? (unit.amount !== null ? roundMoney(unit.amount * qty) : null);
+  const currency = detectCurrency(currencyCell) ||
+    (/^[A-Za-z]{3}$/.test(currencyCell) ? currencyCell.toUpperCase() : null) ||
+    unit.currency || total.currency ||
+    (unitPrice !== null ? DEFAULT_CURRENCY : null);
+
+  return { unitPrice, totalValue, currency };
+}
+
+// One item per physical unit, for crews that tag every helmet separately
+function explodeQuantity(item) {
+  const { quantity } = item;
+  if (!Number.isInteger(quantity) || quantity <= 1) return [item];
+
+  if (quantity > MAX_EXPLODED_UNITS) {
+    return [{
+      ...item,
+      validationIssues: [...item.validationIssues, {
+        field: 'quantity',
+        message: `Quantity ${quantity} is too large to track units individually (max ${MAX_EXPLODED_UNITS}) - kept as one row`,
+        severity: 'warning'
+      }]
+    }];
+  }
+
+  return Array.from({ length: quantity }, (_, unitIndex) => ({
+    ...item,
+    quantity: 1,
+    totalValue: item.unitPrice,
+    unitNumber: unitIndex + 1,
+    unitCount: quantity,
+    validationIssues: [...item.validationIssues]
+  }));
+}
+
+// Quantity and value totals per category and per project. Values are kept
+// per currency rather than added across currencies
+export function buildSummary(items) {
+  const emptyTotals = () => ({ items: 0, quantity: 0, value: {} });
+  const addTo = (totals, item) => {
+    totals.items += 1;
+    totals.quantity += item.quantity;
+    if (item.totalValue !== null) {
+      const currency = item.currency || 'unspecified';
+      totals.value[currency] = roundMoney((totals.value[currency] || 0) + item.totalValue);
+    }
+  };
+
+  const overall = emptyTotals();
+  const byCategory = {};
+  const byProject = {};
+
+  items.forEach(item => {
+    addTo(overall, item);
+    addTo(byCategory[item.category] ||= emptyTotals(), item);
+    addTo(byProject[item.project] ||= emptyTotals(), item);
+  });
+
+  return {
+    totalItems: overall.items,
+    totalQuantity: overall.quantity,
+    totalValue: overall.value,
+    byCategory,
+    byProject
+  };
+}
+
+// Per-file outcome of an upload: failures, or tables and item totals
+function describeFile(file, items) {
+  if (file.status !== 'processed') return file;
+
+  const summary = buildSummary(items.filter(item => item.sourceFile === file.filename));
+  return {
+    ...file,
+    totalItems: summary.totalItems,
+    totalQuantity: summary.totalQuantity,
+    totalValue: summary.totalValue
+  };
+}
+
+// Where each table's header was found and how its columns were mapped
+function describeTable(tableData, mapping) {
+  return {
+    ...(tableData.filename && { filename: tableData.filename }),
+    tableIndex: tableData.tableIndex ?? 0,
+    ...(tableData.extractionMethod && { extractionMethod: tableData.extractionMethod }),
+    ...(tableData.sheetName !== undefined && { sheetName: tableData.sheetName }),
+    ...(tableData.continuedFrom && tableData.continuedFrom.length > 0 && { continuedFrom: tableData.continuedFrom }),
+    headerRowIndex: tableData.headerRowIndex ?? 0,
+    headerRowCount: tableData.headerRowCount ?? 1,
+    ...(tableData.headerRowNumber !== undefined && { headerRowNumber: tableData.headerRowNumber }),
+    headers: tableData.headers,
+    rowCount: tableData.rows.length,
+    fieldMappings: mapping.fieldMappings,
+    mappingSource: mapping.mappingSource,
+    ...(mapping.profileName && { profileName: mapping.profileName })
+  };
+}
+
+// Item confidence from each field's OCR word confidence, how sure the
+// column mapping is and how cleanly the value parsed. The breakdown shows
+// which cell is doubtful; fields with no value are left out, except the
+// item name, whose absence counts against the item
+function calculateItemConfidence(row, mappings, { ocr, mappingCertainty, parse = {}, derivedFrom = {} }) {
+  const breakdown = {};
+
+  Object.keys(FIELD_PATTERNS).forEach(field => {
+    const sourceField = derivedFrom[field] || field;
+    const column = mappings[sourceField];
+    const hasValue = Boolean(getFieldValue(row, column));
+    if (!hasValue) {
+      if (field === 'itemName') breakdown.itemName = fieldConfidence({ mapping: 0, parse: 0 });
+      return;
+    }
+
+    breakdown[field] = fieldConfidence({
+      ocr: ocr ? ocr[column] ?? null : null,
+      mapping: mappingCertainty ? mappingCertainty[sourceField] ?? 1 : 1,
+      parse: parse[field] ?? 1
+    });
+  });
+
+  return { confidence: combineConfidence(breakdown), breakdown };
+}
+
+// What the validation rules check categories and conditions against
+export function validationContext(extraction) {
+  return {
+    categories: getCategories({ company: extraction.company }).map(category => category.name),
+    conditions: getConditions()
+  };
+}
@@ -0,0 +1,90 @@
+// lib/profiles.js - Named column mapping profiles for recurring templates
+import crypto from 'crypto';
+import path from 'path';
+import { DATA_DIR, readJsonFile, writeJsonFile } from './json-file.js';
+import { FIELD_PATTERNS, normalizeHeader } from './mapping.js';
+
+const PROFILES_FILE = path.join(DATA_DIR, 'mapping-profiles.json');
+
+// Saves and deletes read the file, change it and write it back. They run one
+// at a time, so two saves at once don't lose a profile
+let pendingChange = Promise.resolve();
+
+function changeProfiles(change) {
+  const result = pendingChange.then(async () => change(await listProfiles()));
+  pendingChange = result.catch(() => {});
+  return result;
+}
+
+// Identifies a spreadsheet template by its (normalized) header row, so the
+// same supplier's export matches even if the capitalization changes
+export function headerSignature(headers) {
+  const normalized = headers.map(normalizeHeader).join('|');
+  return crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 16);
+}
+
+export async function listProfiles() {
+  return readJsonFile(PROFILES_FILE, []);
+}
+
+export async function findProfileForHeaders(headers) {
+  const signature = headerSignature(headers);
+  const profiles = await listProfiles();
+  return profiles.find(profile => profile.signature === signature) || null;
+}
+
+export async function saveProfile({ name, headers, mappings }) {
+  const profileName = (name || '').toString().trim();
+  if (!profileName) {
+    throw new Error('Profile name is required');
+  }
+  if (!Array.isArray(headers) || headers.length === 0) {
+    throw new Error('Profile headers are required');
+  }
+
+  return changeProfiles(async profiles => {
+    const now = new Date().toISOString();
+    const existing = profiles.find(profile => profile.name === profileName);
+
+    const profile = {
+      name: profileName,
+      signature: headerSignature(headers),
+      headers,
+      mappings: sanitizeMappings(mappings, headers.length),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    const others = profiles.filter(p => p.name !== profileName);
+    await writeJsonFile(PROFILES_FILE, [...others, profile]);
+    return profile;
+  });
+}
+
+export async function deleteProfile(name) {
+  return changeProfiles(async profiles => {
+    const remaining = profiles.filter(profile => profile.name !== name);
+    if (remaining.length === profiles.length) return false;
+
+    await writeJsonFile(PROFILES_FILE, remaining);
+    return true;
+  });
+}
+
+// Keep only known fields pointing at real columns, one field per column
+export function sanitizeMappings(mappings, columnCount) {
+  const clean = {};
+  const usedColumns = new Set();
+
+  Object.entries(mappings || {}).forEach(([field, value]) => {
+    const index = Number(value);
+    if (!FIELD_PATTERNS[field]) return;
+    if (value === null || value === '' || !Number.isInteger(index)) return;
+    if (index < 0 || index >= columnCount || usedColumns.has(index)) return;
+
+    clean[field] = index;
+    usedColumns.add(index);
+  });
+
+  return clean;
+}
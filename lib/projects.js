@@ -0,0 +1,191 @@
+// lib/projects.js - Which project (work site) items belong to, and matching
+// the names found in files against the projects already known
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { normalizeHeader } from './mapping.js';
+
+// Optional list of projects: { "projects": [{ "name", "aliases": [] }] }
+const PROJECTS_CONFIG = process.env.PROJECTS_CONFIG || fileURLToPath(new URL('../config/projects.json', import.meta.url));
+
+// Below this similarity a name is kept as written rather than matched
+const MATCH_THRESHOLD = 0.75;
+
+// Labels that introduce a project in document text ("Obra: Torre Norte")
+const PROJECT_LABELS = ['proyecto', 'project', 'obra', 'site', 'jobsite', 'emplazamiento', 'centrodetrabajo'];
+
+// Words in filenames and titles that say nothing about which project it is
+const NOISE_WORDS = new Set([
+  'inventario', 'inventory', 'listado', 'lista', 'list', 'herramientas', 'tools', 'equipos', 'equipment',
+  'final', 'definitivo', 'copia', 'copy', 'nuevo', 'new', 'de', 'del', 'la', 'el', 'the', 'of',
+  'proyecto', 'project', 'obra', 'site'
+]);
+
+// Configured projects first, then any other project already in the store
+export function loadKnownProjects(storedNames = []) {
+  let configured = [];
+  if (fs.existsSync(PROJECTS_CONFIG)) {
+    const config = JSON.parse(fs.readFileSync(PROJECTS_CONFIG, 'utf8'));
+    configured = (config.projects || []).map(project =>
+      typeof project === 'string' ? { name: project, aliases: [] } : { name: project.name, aliases: project.aliases || [] }
+    );
+  }
+
+  const names = new Set(configured.map(project => project.name));
+  const stored = storedNames
+    .filter(name => name && !names.has(name))
+    .map(name => ({ name, aliases: [] }));
+  return [...configured, ...stored];
+}
+
+// The project of a table, in order of preference: a name in the document
+// text, the one given on upload, then the filename. Column values are
+// resolved per row (resolveRowProject)
+export function resolveProject({ document, upload, filename }, knownProjects = []) {
+  if (document) return matchProject(document, 'document', knownProjects);
+  if (upload) return matchProject(upload, 'upload', knownProjects);
+
+  const fromFilename = projectNameFromFilename(filename);
+  const match = findKnownProject(fromFilename, knownProjects);
+  return match
+    ? { name: match.name, source: 'filename', raw: fromFilename, matched: true }
+    : { name: fromFilename.toUpperCase(), source: 'filename', raw: fromFilename, matched: false };
+}
+
+// A project/obra column wins over the table's project for that row
+export function resolveRowProject(value, tableProject, knownProjects = []) {
+  const text = (value || '').toString().trim();
+  return text ? matchProject(text, 'column', knownProjects) : tableProject;
+}
+
+function matchProject(value, source, knownProjects) {
+  const raw = value.toString().trim();
+  const match = findKnownProject(raw, knownProjects);
+  return { name: match ? match.name : raw, source, raw, matched: Boolean(match) };
+}
+
+// The known project a name most likely refers to, or null. Names are
+// compared without accents, case, punctuation or filler words, so
+// "Inventario_Torre-Norte_v3" finds "Torre Norte"
+export function findKnownProject(value, knownProjects) {
+  const candidate = projectTokens(value);
+  if (candidate.length === 0) return null;
+
+  let best = null;
+  knownProjects.forEach(project => {
+    [project.name, ...project.aliases].forEach(name => {
+      const score = similarity(candidate, projectTokens(name));
+      if (score >= MATCH_THRESHOLD && (!best || score > best.score)) {
+        best = { project, score };
+      }
+    });
+  });
+  return best ? best.project : null;
+}
+
+// "Proyecto: Torre Norte" in the document. Key-value pairs (Azure) are
+// checked first, then text lines, then label/value cells above a table's
+// header ("Obra" | "Torre Norte")
+export function projectFromDocument({ keyValuePairs = [], paragraphs = [] } = {}, tables = []) {
+  for (const { key, value } of keyValuePairs) {
+    if (isProjectLabel(key) && (value || '').trim()) return value.trim();
+  }
+
+  for (const paragraph of paragraphs) {
+    const found = projectFromLine(paragraph);
+    if (found) return found;
+  }
+
+  for (const table of tables) {
+    for (const row of table.titleRows || []) {
+      const cells = row.map(cell => (cell || '').toString().trim()).filter(Boolean);
+      if (cells.length >= 2 && isProjectLabel(cells[0])) return cells[1];
+      const found = cells.length === 1 && projectFromLine(cells[0]);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+// "Obra: Torre Norte", "Proyecto - Torre Norte" or a title segment like
+// "Inventario - Obra Torre Norte". Without a colon the name must start with
+// a capital, so "Proyecto de ampliación" isn't taken for one
+function projectFromLine(line) {
+  const segments = (line || '').toString().split(/\s+[-–|]\s+/).map(segment => segment.trim());
+
+  for (const [index, segment] of segments.entries()) {
+    const labelled = segment.match(/^(.{2,30}?)\s*:\s*(.+)$/);
+    if (labelled && isProjectLabel(labelled[1])) return labelled[2];
+
+    // No `i` flag: with it \p{Lu} matches lowercase letters too
+    const titled = segment.match(/^(\p{L}+)\s+(\p{Lu}.*)$/u);
+    if (titled && ['obra', 'proyecto', 'project'].includes(titled[1].toLowerCase())) return titled[2];
+
+    if (isProjectLabel(segment.replace(/:$/, '')) && segments[index + 1]) return segments[index + 1];
+  }
+  return null;
+}
+
+function isProjectLabel(text) {
+  const label = normalizeHeader(text);
+  return PROJECT_LABELS.some(pattern => label === pattern || label === `${pattern}s` || label === `nombre${pattern}` || label === `${pattern}name`);
+}
+
+// The filename without extension, separators, version suffixes or filler
+// words: "inventario_torre_norte_v3.pdf" is "torre norte". Files from a ZIP
+// archive or a folder keep their path, and when the name itself is only
+// filler words the nearest folder names the project instead
+// ("torre-norte/inventario.csv" is "torre norte"). A path made only of
+// filler words keeps the filename whole rather than leaving it empty
+export function projectNameFromFilename(filename) {
+  const folders = (filename || '').split(/[\\/]+/).filter(Boolean);
+  const name = (folders.pop() || '').replace(/\.[a-z0-9]{2,4}$/i, '');
+  const candidates = [name, ...folders.reverse()].map(part => part.split(/[\s_-]+/).filter(Boolean));
+
+  for (const words of candidates) {
+    const meaningful = words.filter(word => !isNoise(normalizeHeader(word)));
+    if (meaningful.length > 0) return meaningful.join(' ');
+  }
+  return candidates[0].join(' ');
+}
+
+function isNoise(token) {
+  return NOISE_WORDS.has(token) || /^v\d+$/.test(token);
+}
+
+function projectTokens(value) {
+  return (value || '').toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !isNoise(token));
+}
+
+// 1 when every word of the known name appears in the candidate ("torre
+// norte" in "torre norte marzo"), otherwise how alike the two are letter by
+// letter
+function similarity(candidate, known) {
+  if (known.length === 0) return 0;
+  const words = new Set(candidate);
+  if (known.every(token => words.has(token))) return 1;
+  return diceCoefficient(candidate.join(' '), known.join(' '));
+}
+
+function diceCoefficient(a, b) {
+  const pairs = text => {
+    const result = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const pair = text.slice(i, i + 2);
+      result.set(pair, (result.get(pair) || 0) + 1);
+    }
+    return result;
+  };
+  const left = pairs(a);
+  const right = pairs(b);
+  let overlap = 0;
+  left.forEach((count, pair) => {
+    overlap += Math.min(count, right.get(pair) || 0);
+  });
+  const total = Math.max(a.length - 1, 0) + Math.max(b.length - 1, 0);
+  return total > 0 ? (2 * overlap) / total : 0;
+}
@@ -0,0 +1,135 @@
+// lib/reconcile.js - Duplicate and re-import detection
+import crypto from 'crypto';
+import { normalizeHeader } from './mapping.js';
+import { serialKey } from './serials.js';
+
+// Printed in front of asset ids on tags: "AST-4K7QX2MD"
+const ASSET_ID_PREFIX = process.env.ASSET_ID_PREFIX || 'AST';
+
+// Crockford base32 - no I, L, O or U to misread on a worn label
+const ASSET_ID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// Fields compared between an incoming item and its stored match
+export const DIFF_FIELDS = [
+  'project', 'itemName', 'category', 'subcategory', 'condition', 'purchaseDate',
+  'description', 'quantity', 'unitPrice', 'totalValue', 'currency',
+  'brand', 'model', 'serialNumber', 'supplier', 'specifications'
+];
+
+// Two keys identify an asset: its serial number when it has one, and
+// project + brand + model + name otherwise. Individually tracked units of
+// the same row also carry their unit number
+export function fingerprintItem({ project, itemName, brand, model, serialNumber, unitNumber }) {
+  const identity = [project, brand, model, itemName].map(normalizeHeader).join('|') +
+    (unitNumber ? `#${unitNumber}` : '');
+
+  return {
+    serialKey: serialKey(serialNumber),
+    identityKey: identity
+  };
+}
+
+// The id printed on an asset's tag, from a key that never changes: an
+// extracted row's extraction and row id, or a stored asset's own id plus a
+// unit number. Project, name and serial number are left out on purpose -
+// they change with transfers and corrections, and a printed tag can't
+export function assetIdFor(key) {
+  const hash = crypto.createHash('sha1').update(key).digest();
+
+  let code = '';
+  for (let i = 0; i < 8; i++) {
+    code += ASSET_ID_ALPHABET[hash[i] % 32];
+  }
+  return `${ASSET_ID_PREFIX}-${code}`;
+}
+
+// One asset id per unit of a row with several units that weren't split into
+// items. Ids the item already stores are kept; units beyond them (the
+// quantity went up) get ids made from the item's own asset id
+export function unitAssetIdsFor(item) {
+  const units = !item.unitNumber && Number.isInteger(item.quantity) && item.quantity > 1 ? item.quantity : 0;
+  const ids = (item.unitAssetIds || []).slice(0, units);
+  while (ids.length < units) {
+    ids.push(assetIdFor(`${item.assetId}#${ids.length + 1}`));
+  }
+  return ids;
+}
+
+// Classify each incoming item against the store and the rest of the file:
+//   new                - nothing stored matches
+//   unchanged          - a stored item matches with no differences
+//   updated            - a stored item matches; `diff` lists changed fields
+//   possible_duplicate - an earlier row in the same file has the same key
+// `storedItems` are candidates from the store with their fingerprints
+export function reconcileItems(items, storedItems) {
+  const bySerial = groupBy(storedItems, item => item.fingerprint.serialKey);
+  const byIdentity = groupBy(storedItems, item => item.fingerprint.identityKey);
+  const claimed = new Set();
+  const seenInFile = new Map();
+  const counts = { new: 0, unchanged: 0, updated: 0, possible_duplicate: 0 };
+
+  const reconciled = items.map(item => {
+    const { serialKey, identityKey } = item.fingerprint;
+    const fileKey = serialKey ? `sn:${serialKey}` : `id:${identityKey}`;
+
+    let match;
+    let ids = {};
+    if (seenInFile.has(fileKey)) {
+      match = { status: 'possible_duplicate', duplicateOf: seenInFile.get(fileKey) };
+    } else {
+      seenInFile.set(fileKey, item.id);
+
+      // Serial numbers win; otherwise the first unclaimed identity match
+      const candidates = (serialKey && bySerial.get(serialKey)) || byIdentity.get(identityKey) || [];
+      const existing = candidates.find(candidate => !claimed.has(candidate.id));
+
+      if (!existing) {
+        match = { status: 'new' };
+      } else {
+        claimed.add(existing.id);
+        const diff = diffItems(existing, item);
+        // The stored asset keeps the id on its tag
+        ids = {
+          ...(existing.assetId && { assetId: existing.assetId }),
+          ...(existing.unitAssetIds && { unitAssetIds: existing.unitAssetIds })
+        };
+        match = {
+          status: diff.length > 0 ? 'updated' : 'unchanged',
+          existingItemId: existing.id,
+          matchedOn: serialKey && existing.fingerprint.serialKey === serialKey ? 'serialNumber' : 'identity',
+          ...(diff.length > 0 && { diff })
+        };
+      }
+    }
+
+    counts[match.status]++;
+    return { ...item, ...ids, match };
+  });
+
+  return { items: reconciled, counts };
+}
+
+export function diffItems(existing, incoming) {
+  return DIFF_FIELDS
+    .filter(field => !sameValue(existing[field], incoming[field]))
+    .map(field => ({ field, from: existing[field] ?? null, to: incoming[field] ?? null }));
+}
+
+function sameValue(a, b) {
+  const emptyA = a === null || a === undefined || a === '';
+  const emptyB = b === null || b === undefined || b === '';
+  if (emptyA || emptyB) return emptyA && emptyB;
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+  return a.toString().trim() === b.toString().trim();
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+}
@@ -0,0 +1,31 @@
+// lib/retry.js - Retrying throttled calls with exponential backoff
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Azure answers 429 when the resource's rate limit is hit, usually with a
+// Retry-After header saying how long to wait
+export function isThrottled(error) {
+  return error && (error.statusCode === 429 || error.code === 'TooManyRequests' || error.code === '429');
+}
+
+export function retryAfterMs(error) {
+  const headers = error && error.response && error.response.headers;
+  const value = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+// Run `fn` until it succeeds, retrying errors `shouldRetry` accepts up to
+// `retries` times. Waits baseDelay, 2x, 4x... (or what Retry-After asks for)
+export async function withRetry(fn, { retries = 4, baseDelay = 2000, maxDelay = 60000, shouldRetry = isThrottled, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries || !shouldRetry(error)) throw error;
+
+      const delay = Math.min(maxDelay, retryAfterMs(error) ?? baseDelay * 2 ** (attempt - 1));
+      if (onRetry) onRetry({ error, attempt, delay });
+      await sleep(delay);
+    }
+  }
+}
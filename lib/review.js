@@ -0,0 +1,173 @@
+// lib/review.js - Corrections made in the review grid before committing
+import { EDITABLE_FIELDS } from './store.js';
+import { parseNumber, roundMoney } from './numbers.js';
+import { isIsoDate } from './dates.js';
+import { fingerprintItem } from './reconcile.js';
+
+const NUMBER_FIELDS = ['quantity', 'unitPrice', 'totalValue'];
+
+// Apply the review grid's corrections to an extraction's items:
+//   edits    - [{ id, field, value }] inline cell changes
+//   merges   - [{ into, from: [ids] }] rows folded into another row
+//   excluded - [ids] rows left out of the import
+// Returns the corrected items and a log of what changed. Invalid corrections
+// throw, so nothing is committed half-applied
+export function applyCorrections(items, corrections = {}, { categories = [], conditions = [] } = {}) {
+  const { edits = [], merges = [], excluded = [] } = corrections;
+  const byId = new Map(items.map(item => [item.id, { ...item }]));
+  const log = { edits: [], merges: [], excluded: [] };
+
+  const find = id => {
+    const item = byId.get(id);
+    if (!item) throw new Error(`Unknown item "${id}"`);
+    return item;
+  };
+
+  edits.forEach(({ id, field, value }) => {
+    const item = find(id);
+    if (!EDITABLE_FIELDS.includes(field)) {
+      throw new Error(`Field "${field}" cannot be edited`);
+    }
+
+    const from = item[field] ?? null;
+    const to = cleanValue(field, value, item, { categories, conditions });
+    if (from === to) return;
+
+    item[field] = to;
+    item.edited = [...new Set([...(item.edited || []), field])];
+
+    // The correction answers any issue raised about this field
+    item.validationIssues = (item.validationIssues || []).filter(issue => issue.field !== field);
+
+    if (field === 'itemName') delete item.placeholderName;
+    if (field === 'category') {
+      item.matchedRule = null;
+      item.categorySource = 'correction';
+      const category = categories.find(c => c.name === to);
+      if (item.subcategory && !category.subcategories.includes(item.subcategory)) item.subcategory = null;
+    }
+    if ((field === 'quantity' || field === 'unitPrice') && item.unitPrice !== null && item.unitPrice !== undefined &&
+        !item.edited.includes('totalValue')) {
+      item.totalValue = roundMoney(item.unitPrice * item.quantity);
+    }
+
+    log.edits.push({ id, field, from, to });
+  });
+
+  // A corrected name or project identifies the item differently; its asset
+  // id stays, since labels may already be printed
+  new Set(log.edits.map(edit => edit.id)).forEach(id => {
+    const item = byId.get(id);
+    item.fingerprint = fingerprintItem(item);
+  });
+
+  merges.forEach(({ into, from = [] }) => {
+    const target = find(into);
+    const sources = from.filter(id => id !== into).map(find);
+    if (sources.length === 0) return;
+
+    target.quantity = sources.reduce((sum, item) => sum + (item.quantity ?? 1), target.quantity ?? 1);
+    if (target.unitPrice !== null && target.unitPrice !== undefined) {
+      target.totalValue = roundMoney(target.unitPrice * target.quantity);
+    } else if ([target, ...sources].every(item => item.totalValue !== null && item.totalValue !== undefined)) {
+      target.totalValue = roundMoney(sources.reduce((sum, item) => sum + item.totalValue, target.totalValue));
+    }
+    target.mergedFrom = [...(target.mergedFrom || []), ...sources.map(item => item.id)];
+    sources.forEach(item => byId.delete(item.id));
+
+    log.merges.push({ into, from: sources.map(item => item.id), quantity: target.quantity });
+  });
+
+  excluded.forEach(id => {
+    if (!byId.has(id)) return;
+    byId.delete(id);
+    log.excluded.push(id);
+  });
+
+  return { items: items.filter(item => byId.has(item.id)).map(item => byId.get(item.id)), log };
+}
+
+// An edit to a stored item (PATCH /items/:id), checked the way review grid
+// edits are. Returns the cleaned values of the editable fields sent; fields
+// go in EDITABLE_FIELDS order so a new category is set before its
+// subcategory is checked. Throws on the first invalid value
+export function cleanItemChanges(item, changes, { categories = [], conditions = [] } = {}) {
+  const next = { ...item };
+  const cleaned = {};
+
+  EDITABLE_FIELDS.filter(field => changes[field] !== undefined).forEach(field => {
+    cleaned[field] = next[field] = cleanValue(field, changes[field], next, { categories, conditions });
+  });
+
+  // The old category's subcategory doesn't carry over to a new one
+  if (cleaned.category !== undefined && cleaned.subcategory === undefined && next.subcategory) {
+    const category = categories.find(c => c.name === cleaned.category);
+    if (!category.subcategories.includes(next.subcategory)) cleaned.subcategory = null;
+  }
+  if ((cleaned.quantity !== undefined || cleaned.unitPrice !== undefined) && cleaned.totalValue === undefined &&
+      next.unitPrice !== null && next.unitPrice !== undefined) {
+    cleaned.totalValue = roundMoney(next.unitPrice * next.quantity);
+  }
+  return cleaned;
+}
+
+export function countCorrections(log) {
+  return log.edits.length + log.merges.length + log.excluded.length;
+}
+
+function cleanValue(field, value, item, { categories, conditions }) {
+  const text = value === null || value === undefined ? '' : value.toString().trim();
+
+  if (NUMBER_FIELDS.includes(field)) {
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    if (!text) {
+      if (field === 'quantity') throw new Error('Quantity cannot be empty');
+      return null;
+    }
+    const number = parseNumber(text);
+    if (number === null) throw new Error(`"${text}" is not a number (${field})`);
+    return number;
+  }
+
+  if (field === 'purchaseDate') {
+    if (!text) return null;
+    if (!isIsoDate(text)) {
+      throw new Error(`Purchase date must be YYYY-MM-DD, got "${text}"`);
+    }
+    return text;
+  }
+
+  if (field === 'category') {
+    if (!categories.some(category => category.name === text)) {
+      throw new Error(`Unknown category "${text}"`);
+    }
+    return text;
+  }
+
+  if (field === 'condition') {
+    if (!conditions.includes(text)) {
+      throw new Error(`Unknown condition "${text}"`);
+    }
+    return text;
+  }
+
+  if (field === 'subcategory') {
+    if (!text) return null;
+    const category = categories.find(c => c.name === item.category);
+    if (category && !category.subcategories.includes(text)) {
+      throw new Error(`"${text}" is not a subcategory of ${item.category}`);
+    }
+    return text;
+  }
+
+  if (field === 'itemName' && !text) {
+    throw new Error('Item name cannot be empty');
+  }
+  if (field === 'project' && !text) {
+    throw new Error('Project cannot be empty');
+  }
+  // The rest is free text - description, currency and the attributes stored
+  // in the item's details (brand, model, serial number, supplier,
+  // specifications); an empty value clears the field
+  return text || null;
+}
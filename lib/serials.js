@@ -0,0 +1,17 @@
+// lib/serials.js - Serial numbers as keys for duplicate detection and asset ids
+
+// Serial cells that mean "no serial" rather than a malformed one
+const NO_SERIAL = /^(n\/?[ad]|s\/?n|sin (n(u|ú)mero|nº|no?|serie)|none|ninguno|-+|\?+)$/i;
+
+export function isPlaceholderSerial(serial) {
+  return NO_SERIAL.test((serial || '').toString().trim());
+}
+
+// "SN-0042/b" is "SN0042B". Placeholders and keys shorter than three
+// characters are no key at all, so they can't make unrelated items match
+export function serialKey(serial) {
+  const text = (serial || '').toString().trim();
+  if (!text || isPlaceholderSerial(text)) return null;
+  const key = text.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return key.length >= 3 ? key : null;
+}
@@ -0,0 +1,109 @@
+// lib/spreadsheet.js - Local Excel (.xlsx/.xls) parsing without Azure
+import XLSX from 'xlsx';
+import * as cpexcel from 'xlsx/dist/cpexcel.full.mjs';
+import { detectHeaderRows } from './mapping.js';
+
+// The ESM build leaves out the codepage tables that legacy .xls files with
+// non-Unicode text need
+XLSX.set_cptable(cpexcel);
+
+// Parse every sheet of a workbook into the same { headers, rows } shape
+// that processAzureTable produces for Azure tables
+export function parseWorkbook(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+  const tables = [];
+
+  workbook.SheetNames.forEach((sheetName, sheetIndex) => {
+    const sheet = workbook.Sheets[sheetName];
+    if (!sheet || !sheet['!ref']) return;
+
+    fillMergedCells(sheet);
+
+    // Blank rows are kept so row positions still match the sheet
+    const grid = trimEmptyColumns(XLSX.utils.sheet_to_json(sheet, {
+      header: 1,
+      raw: true,
+      defval: '',
+      blankrows: true
+    }).map(row => row.map(formatCellValue)));
+
+    if (!grid.some(row => row.some(cell => cell))) return;
+
+    const firstRow = XLSX.utils.decode_range(sheet['!ref']).s.r;
+    const { headerRowIndex, headerRowCount, headers } = detectHeaderRows(grid);
+
+    tables.push({
+      source: 'spreadsheet',
+      sheetName,
+      tableIndex: sheetIndex,
+      headers,
+      rows: grid.slice(headerRowIndex + headerRowCount),
+      titleRows: grid.slice(0, headerRowIndex),
+      headerRowIndex,
+      headerRowCount,
+      headerRowNumber: firstRow + headerRowIndex + 1
+    });
+  });
+
+  return tables;
+}
+
+// Copy the top-left value of every merged range into all of its cells, so a
+// header spanning several columns labels each of them
+function fillMergedCells(sheet) {
+  (sheet['!merges'] || []).forEach(range => {
+    const origin = sheet[XLSX.utils.encode_cell(range.s)];
+    if (!origin) return;
+
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      for (let c = range.s.c; c <= range.e.c; c++) {
+        const address = XLSX.utils.encode_cell({ r, c });
+        const cell = sheet[address];
+        if (!cell || cell.v === undefined || cell.v === '') {
+          sheet[address] = { t: origin.t, v: origin.v, w: origin.w };
+        }
+      }
+    }
+  });
+}
+
+// Normalize raw cell values to strings. Formula cells carry their cached
+// result, and date cells arrive as Date objects when read with cellDates
+function formatCellValue(value) {
+  if (value === null || value === undefined) return '';
+
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return '';
+    const year = value.getFullYear();
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+
+  return value.toString().trim();
+}
+
+// Pad rows to the same width, drop columns that are empty everywhere and
+// trailing blank rows
+function trimEmptyColumns(grid) {
+  const width = Math.max(0, ...grid.map(row => row.length));
+  const usedColumns = [];
+
+  for (let col = 0; col < width; col++) {
+    if (grid.some(row => (row[col] || '').trim())) {
+      usedColumns.push(col);
+    }
+  }
+
+  const rows = grid.map(row => usedColumns.map(col => row[col] || ''));
+  while (rows.length > 0 && !rows[rows.length - 1].some(cell => cell.trim())) {
+    rows.pop();
+  }
+  return rows;
+}
+
+export function isSpreadsheetFile(filename) {
+  return /\.(xlsx|xls)$/i.test(filename || '');
+}
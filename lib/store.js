@@ -0,0 +1,562 @@
+// lib/store.js - Persistent inventory store (SQLite file via sql.js)
+import initSqlJs from 'sql.js';
+import crypto from 'crypto';
+import { promises as fs, existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { DATA_DIR } from './json-file.js';
+import { DIFF_FIELDS, fingerprintItem, assetIdFor, unitAssetIdsFor } from './reconcile.js';
+
+const DEFAULT_DB_PATH = process.env.INVENTORY_DB || path.join(DATA_DIR, 'inventory.sqlite');
+
+// Item fields stored as their own columns; everything else on the item
+// (matchedRule, validationIssues, source info...) is kept in `details`.
+// The fingerprint gets its own columns and review-time `match` info is dropped
+const ITEM_COLUMNS = {
+  project: 'project',
+  itemName: 'item_name',
+  category: 'category',
+  subcategory: 'subcategory',
+  condition: 'condition',
+  purchaseDate: 'purchase_date',
+  description: 'description',
+  quantity: 'quantity',
+  unitPrice: 'unit_price',
+  totalValue: 'total_value',
+  currency: 'currency',
+  confidence: 'confidence',
+  location: 'location',
+  custodian: 'custodian'
+};
+
+// Fields that PATCH /items/:id and the review grid may change; brand and the
+// rest after currency are kept in `details`
+export const EDITABLE_FIELDS = [
+  'project', 'itemName', 'category', 'subcategory', 'condition', 'purchaseDate',
+  'description', 'quantity', 'unitPrice', 'totalValue', 'currency',
+  'brand', 'model', 'serialNumber', 'supplier', 'specifications'
+];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS imports (
+    id TEXT PRIMARY KEY,
+    filename TEXT NOT NULL,
+    project_name TEXT,
+    service TEXT,
+    status TEXT NOT NULL DEFAULT 'active',
+    mappings TEXT,
+    stats TEXT,
+    created_at TEXT NOT NULL,
+    rolled_back_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS items (
+    id TEXT PRIMARY KEY,
+    import_id TEXT NOT NULL REFERENCES imports(id),
+    source_id TEXT,
+    project TEXT,
+    item_name TEXT NOT NULL,
+    category TEXT,
+    subcategory TEXT,
+    condition TEXT,
+    purchase_date TEXT,
+    description TEXT,
+    quantity REAL,
+    unit_price REAL,
+    total_value REAL,
+    currency TEXT,
+    confidence INTEGER,
+    details TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS import_changes (
+    import_id TEXT NOT NULL REFERENCES imports(id),
+    item_id TEXT NOT NULL,
+    action TEXT NOT NULL,
+    previous TEXT
+  );
+  CREATE TABLE IF NOT EXISTS movements (
+    id TEXT PRIMARY KEY,
+    item_id TEXT NOT NULL,
+    import_id TEXT,
+    action TEXT NOT NULL,
+    from_project TEXT,
+    to_project TEXT,
+    from_location TEXT,
+    to_location TEXT,
+    custodian TEXT,
+    note TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS movements_item ON movements(item_id);
+  CREATE INDEX IF NOT EXISTS items_import ON items(import_id);
+  CREATE INDEX IF NOT EXISTS items_project ON items(project);
+  CREATE INDEX IF NOT EXISTS items_category ON items(category);
+`;
+
+let store = null;
+
+export async function openStore(dbPath = DEFAULT_DB_PATH) {
+  const SQL = await initSqlJs();
+  const db = existsSync(dbPath) ? new SQL.Database(readFileSync(dbPath)) : new SQL.Database();
+  db.run(SCHEMA);
+  migrate(db);
+
+  store = { db, dbPath, pendingWrite: Promise.resolve() };
+  console.log(`🗄️ Inventory store: ${dbPath}`);
+  return store;
+}
+
+// Columns added after the first release
+function migrate(db) {
+  const columns = db.exec('PRAGMA table_info(items)')[0].values.map(column => column[1]);
+  if (!columns.includes('serial_key')) db.run('ALTER TABLE items ADD COLUMN serial_key TEXT');
+  if (!columns.includes('identity_key')) db.run('ALTER TABLE items ADD COLUMN identity_key TEXT');
+  if (!columns.includes('location')) db.run('ALTER TABLE items ADD COLUMN location TEXT');
+  if (!columns.includes('custodian')) db.run('ALTER TABLE items ADD COLUMN custodian TEXT');
+  db.run('CREATE INDEX IF NOT EXISTS items_serial ON items(serial_key)');
+  db.run('CREATE INDEX IF NOT EXISTS items_identity ON items(identity_key)');
+
+  const importColumns = db.exec('PRAGMA table_info(imports)')[0].values.map(column => column[1]);
+  if (!importColumns.includes('edits')) db.run('ALTER TABLE imports ADD COLUMN edits TEXT');
+}
+
+function getDb() {
+  if (!store) throw new Error('Inventory store is not open');
+  return store.db;
+}
+
+// sql.js keeps the database in memory - write the whole file after each
+// change, one write at a time, via a temp file so it is never half-written
+function persist() {
+  const { db, dbPath } = store;
+  const data = Buffer.from(db.export());
+  store.pendingWrite = store.pendingWrite.then(async () => {
+    await fs.mkdir(path.dirname(dbPath), { recursive: true });
+    await fs.writeFile(`${dbPath}.tmp`, data);
+    await fs.rename(`${dbPath}.tmp`, dbPath);
+  });
+  return store.pendingWrite;
+}
+
+function queryAll(sql, params = {}) {
+  const statement = getDb().prepare(sql);
+  statement.bind(params);
+  const rows = [];
+  while (statement.step()) rows.push(statement.getAsObject());
+  statement.free();
+  return rows;
+}
+
+function queryOne(sql, params = {}) {
+  return queryAll(sql, params)[0] || null;
+}
+
+// Save a reviewed extraction as an import. Items are applied according to
+// their reconciliation `match`: new ones are inserted, updated ones change
+// the stored item (keeping the previous values for rollback), unchanged ones
+// and possible duplicates are skipped unless includeDuplicates is set.
+// `edits` is the review log of corrections made before committing
+export async function createImport({ filename, projectName, service, mappings, stats, items, edits = null, includeDuplicates = false }) {
+  const db = getDb();
+  const importId = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const applied = { created: 0, updated: 0, skipped: 0 };
+
+  db.run('BEGIN');
+  try {
+    db.run(
+      `INSERT INTO imports (id, filename, project_name, service, mappings, stats, edits, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [importId, filename, projectName, service, JSON.stringify(mappings || null), null, JSON.stringify(edits), now]
+    );
+
+    items.forEach(item => {
+      const status = item.match ? item.match.status : 'new';
+      if (status === 'updated') {
+        applyUpdate(importId, item, now);
+        applied.updated++;
+      } else if (status === 'new' || (status === 'possible_duplicate' && includeDuplicates)) {
+        const itemId = insertItem(importId, item, now);
+        db.run('INSERT INTO import_changes (import_id, item_id, action) VALUES (?, ?, ?)', [importId, itemId, 'created']);
+        insertMovement({ itemId, importId, action: 'registered', toProject: item.project, note: `Imported from ${filename}` }, now);
+        applied.created++;
+      } else {
+        applied.skipped++;
+      }
+    });
+
+    db.run('UPDATE imports SET stats = ? WHERE id = ?', [JSON.stringify({ ...stats, applied }), importId]);
+    db.run('COMMIT');
+  } catch (error) {
+    db.run('ROLLBACK');
+    throw error;
+  }
+
+  await persist();
+  return getImport(importId);
+}
+
+function insertItem(importId, item, now) {
+  const { id: sourceId, fingerprint, match, ...fields } = item;
+  const itemId = crypto.randomUUID();
+  const columns = Object.values(ITEM_COLUMNS);
+  const values = Object.keys(ITEM_COLUMNS).map(field => toColumnValue(fields[field]));
+  const details = Object.fromEntries(
+    Object.entries(fields).filter(([field]) => !(field in ITEM_COLUMNS))
+  );
+  // Asset ids are handed out once and kept with the item from here on, one
+  // per unit for a row of several, so tags stay valid after transfers
+  details.assetId ||= assetIdFor(`item:${itemId}`);
+  const unitAssetIds = unitAssetIdsFor({ ...item, assetId: details.assetId });
+  if (unitAssetIds.length > 0) details.unitAssetIds = unitAssetIds;
+
+  getDb().run(
+    `INSERT INTO items (id, import_id, source_id, ${columns.join(', ')}, details, serial_key, identity_key, created_at, updated_at)
+     VALUES (?, ?, ?, ${columns.map(() => '?').join(', ')}, ?, ?, ?, ?, ?)`,
+    [
+      itemId, importId, sourceId || null, ...values, JSON.stringify(details),
+      fingerprint ? fingerprint.serialKey : null, fingerprint ? fingerprint.identityKey : null,
+      now, now
+    ]
+  );
+  return itemId;
+}
+
+// Re-imports update the stored item in place; the values it had before are
+// recorded so rolling back the import restores them
+function applyUpdate(importId, item, now) {
+  const existingId = item.match.existingItemId;
+  const existing = getItem(existingId);
+  if (!existing) return;
+
+  const previous = Object.fromEntries(DIFF_FIELDS.map(field => [field, existing[field] ?? null]));
+  getDb().run(
+    'INSERT INTO import_changes (import_id, item_id, action, previous) VALUES (?, ?, ?, ?)',
+    [importId, existingId, 'updated', JSON.stringify(previous)]
+  );
+  writeFields(existing, Object.fromEntries(DIFF_FIELDS.map(field => [field, item[field] ?? null])), now);
+
+  if (item.project !== existing.project) {
+    insertMovement({
+      itemId: existingId, importId, action: 'transfer',
+      fromProject: existing.project, toProject: item.project, note: 'Project changed by re-import'
+    }, now);
+  }
+}
+
+// Write fields to a stored item: columns directly, the rest (brand, serial
+// number...) into `details`, where null removes them. The fingerprint keys
+// follow, so a changed serial number or name is recognized next time
+function writeFields(existing, values, now) {
+  const columns = Object.keys(values).filter(field => field in ITEM_COLUMNS);
+  const { details } = queryOne('SELECT details FROM items WHERE id = :id', { ':id': existing.id });
+  const merged = JSON.parse(details || '{}');
+  Object.entries(values).filter(([field]) => !(field in ITEM_COLUMNS)).forEach(([field, value]) => {
+    if (value === null || value === undefined) delete merged[field];
+    else merged[field] = value;
+  });
+  const fingerprint = fingerprintItem({ ...existing, ...values });
+
+  getDb().run(
+    `UPDATE items SET ${columns.map(field => `${ITEM_COLUMNS[field]} = ?, `).join('')}details = ?, serial_key = ?, identity_key = ?, updated_at = ?
+     WHERE id = ?`,
+    [...columns.map(field => toColumnValue(values[field])), JSON.stringify(merged), fingerprint.serialKey, fingerprint.identityKey, now, existing.id]
+  );
+}
+
+function insertMovement({ itemId, importId = null, action, fromProject = null, toProject = null, fromLocation = null, toLocation = null, custodian = null, note = null }, now) {
+  getDb().run(
+    `INSERT INTO movements (id, item_id, import_id, action, from_project, to_project, from_location, to_location, custodian, note, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [crypto.randomUUID(), itemId, importId, action, fromProject, toProject, fromLocation, toLocation, custodian, note, now]
+  );
+}
+
+// Check-out, transfer or return: the item's project, location and custodian
+// change and the movement is recorded. The identity fingerprint follows the
+// project, so the next inventory of the new site recognizes the item
+export async function moveItem(id, { action, project, location, custodian, condition, note = null }) {
+  const existing = getItem(id);
+  if (!existing) return null;
+
+  const db = getDb();
+  const now = new Date().toISOString();
+  const fingerprint = fingerprintItem({ ...existing, project });
+
+  db.run('BEGIN');
+  try {
+    db.run(
+      `UPDATE items SET project = ?, location = ?, custodian = ?, condition = ?, serial_key = ?, identity_key = ?, updated_at = ?
+       WHERE id = ?`,
+      [project, location, custodian, condition, fingerprint.serialKey, fingerprint.identityKey, now, id]
+    );
+    insertMovement({
+      itemId: id, action,
+      fromProject: existing.project, toProject: project,
+      fromLocation: existing.location, toLocation: location,
+      custodian: action === 'return' ? existing.custodian : custodian,
+      note
+    }, now);
+    db.run('COMMIT');
+  } catch (error) {
+    db.run('ROLLBACK');
+    throw error;
+  }
+
+  await persist();
+  return getItem(id);
+}
+
+// Movement history, newest first: one item's (itemId) or every movement
+// into or out of a project
+export function listMovements({ itemId, project, limit } = {}) {
+  const where = [];
+  const params = {};
+  if (itemId) {
+    where.push('item_id = :itemId');
+    params[':itemId'] = itemId;
+  }
+  if (project) {
+    where.push('(from_project = :project OR to_project = :project)');
+    params[':project'] = project;
+  }
+  const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+  const max = Math.min(Math.max(parseInt(limit) || 200, 1), 1000);
+
+  return queryAll(`SELECT * FROM movements ${whereClause} ORDER BY created_at DESC, rowid DESC LIMIT ${max}`, params)
+    .map(rowToMovement);
+}
+
+// Stored items sharing a serial or identity key with any incoming item
+export function findItemsByFingerprint(fingerprints) {
+  const serialKeys = [...new Set(fingerprints.map(f => f.serialKey).filter(Boolean))];
+  const identityKeys = [...new Set(fingerprints.map(f => f.identityKey).filter(Boolean))];
+  if (serialKeys.length === 0 && identityKeys.length === 0) return [];
+
+  const params = {};
+  const serialParams = serialKeys.map((key, index) => { params[`:s${index}`] = key; return `:s${index}`; });
+  const identityParams = identityKeys.map((key, index) => { params[`:i${index}`] = key; return `:i${index}`; });
+  const conditions = [];
+  if (serialParams.length > 0) conditions.push(`serial_key IN (${serialParams.join(', ')})`);
+  if (identityParams.length > 0) conditions.push(`identity_key IN (${identityParams.join(', ')})`);
+
+  return queryAll(`SELECT * FROM items WHERE ${conditions.join(' OR ')} ORDER BY created_at, rowid`, params)
+    .map(rowToItem);
+}
+
+export function listImports() {
+  return queryAll(
+    `SELECT imports.*, (SELECT COUNT(*) FROM items WHERE items.import_id = imports.id) AS item_count
+     FROM imports ORDER BY created_at DESC`
+  ).map(rowToImport);
+}
+
+export function getImport(id) {
+  const row = queryOne(
+    `SELECT imports.*, (SELECT COUNT(*) FROM items WHERE items.import_id = imports.id) AS item_count
+     FROM imports WHERE id = :id`,
+    { ':id': id }
+  );
+  return row ? rowToImport(row) : null;
+}
+
+// Undo an import: items it created are deleted and items it updated get
+// their previous values back. The import record stays as history.
+// Items moved or re-imported since (listMovedItems) would lose their movement
+// history or have a later transfer or import undone, so the rollback is
+// refused unless keepMoved is set, which leaves those items as they are
+export async function rollbackImport(id, { keepMoved = false } = {}) {
+  const existing = getImport(id);
+  if (!existing) return null;
+  if (existing.status === 'rolled_back') return existing;
+
+  const moved = listMovedItems(id);
+  if (moved.length > 0 && !keepMoved) {
+    throw new Error(`${moved.length} item(s) from this import were moved or changed by a later import since it was saved`);
+  }
+
+  const db = getDb();
+  const kept = moved.map(item => item.id);
+  const notKept = column => (kept.length > 0 ? ` AND ${column} NOT IN (${kept.map(() => '?').join(', ')})` : '');
+  const updates = queryAll(
+    `SELECT item_id, previous FROM import_changes WHERE import_id = :id AND action = 'updated'`,
+    { ':id': id }
+  ).filter(({ item_id: itemId }) => !kept.includes(itemId));
+
+  db.run('BEGIN');
+  try {
+    db.run(
+      `DELETE FROM movements WHERE (import_id = ? OR item_id IN (SELECT id FROM items WHERE import_id = ?))${notKept('item_id')}`,
+      [id, id, ...kept]
+    );
+    db.run(`DELETE FROM items WHERE import_id = ?${notKept('id')}`, [id, ...kept]);
+    updates.reverse().forEach(({ item_id: itemId, previous }) => {
+      const item = getItem(itemId);
+      if (item) writeFields(item, JSON.parse(previous), new Date().toISOString());
+    });
+    db.run(`UPDATE imports SET status = 'rolled_back', rolled_back_at = ? WHERE id = ?`, [new Date().toISOString(), id]);
+    db.run('COMMIT');
+  } catch (error) {
+    db.run('ROLLBACK');
+    throw error;
+  }
+
+  await persist();
+  return getImport(id);
+}
+
+// Items an import created or updated that have changed since: check-outs,
+// transfers and returns (reason 'moved'), or a later import that is still
+// active updated them ('reimported'). Restoring their earlier values would
+// undo that later import's changes
+export function listMovedItems(importId) {
+  return queryAll(
+    `SELECT * FROM (
+       SELECT items.id, items.item_name, items.project, import_changes.action AS change,
+         EXISTS (
+           SELECT 1 FROM movements WHERE movements.item_id = items.id AND movements.action != 'registered'
+             AND (movements.import_id IS NULL OR movements.import_id != :id)
+         ) AS moved,
+         EXISTS (
+           SELECT 1 FROM import_changes AS later JOIN imports ON imports.id = later.import_id
+           WHERE later.item_id = items.id AND imports.status = 'active'
+             AND imports.rowid > (SELECT rowid FROM imports WHERE id = :id)
+         ) AS reimported
+       FROM import_changes JOIN items ON items.id = import_changes.item_id
+       WHERE import_changes.import_id = :id
+     ) WHERE moved OR reimported
+     ORDER BY item_name`,
+    { ':id': importId }
+  ).map(row => ({
+    id: row.id, itemName: row.item_name, project: row.project, change: row.change,
+    reason: row.moved ? 'moved' : 'reimported'
+  }));
+}
+
+// Every project name in the inventory, for matching new uploads against
+export function listProjects() {
+  return queryAll('SELECT DISTINCT project FROM items WHERE project IS NOT NULL ORDER BY project')
+    .map(row => row.project);
+}
+
+// Every stored item - for reports and site checks that must see the whole
+// inventory rather than a page of it
+export function listAllItems() {
+  return queryAll('SELECT * FROM items ORDER BY project, item_name, rowid').map(rowToItem);
+}
+
+// Filters: project, category, condition, importId, q (free-text search over
+// name, description and category), limit and offset
+export function listItems(filters = {}) {
+  const where = [];
+  const params = {};
+
+  [['project', 'project'], ['category', 'category'], ['condition', 'condition'], ['importId', 'import_id']]
+    .forEach(([filter, column]) => {
+      if (filters[filter]) {
+        where.push(`${column} = :${filter}`);
+        params[`:${filter}`] = filters[filter];
+      }
+    });
+
+  if (filters.q) {
+    where.push(`(item_name LIKE :q OR description LIKE :q OR category LIKE :q OR subcategory LIKE :q)`);
+    params[':q'] = `%${filters.q}%`;
+  }
+
+  const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+  const limit = Math.min(Math.max(parseInt(filters.limit) || 100, 1), 1000);
+  const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+  const total = queryOne(`SELECT COUNT(*) AS count FROM items ${whereClause}`, params).count;
+  const items = queryAll(
+    `SELECT * FROM items ${whereClause} ORDER BY created_at DESC, rowid LIMIT ${limit} OFFSET ${offset}`,
+    params
+  ).map(rowToItem);
+
+  return { items, total, limit, offset };
+}
+
+export function getItem(id) {
+  const row = queryOne('SELECT * FROM items WHERE id = :id', { ':id': id });
+  return row ? rowToItem(row) : null;
+}
+
+export async function updateItem(id, changes) {
+  const existing = getItem(id);
+  if (!existing) return null;
+
+  const fields = Object.keys(changes).filter(field => EDITABLE_FIELDS.includes(field));
+  if (fields.length === 0) return existing;
+
+  // A renamed item or a corrected serial number must still be recognized
+  // when it is uploaded again; writeFields refreshes the keys
+  writeFields(existing, Object.fromEntries(fields.map(field => [field, changes[field] ?? null])), new Date().toISOString());
+
+  await persist();
+  return getItem(id);
+}
+
+export async function deleteItem(id) {
+  if (!getItem(id)) return false;
+  getDb().run('DELETE FROM movements WHERE item_id = ?', [id]);
+  getDb().run('DELETE FROM items WHERE id = ?', [id]);
+  await persist();
+  return true;
+}
+
+function toColumnValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'object' && value !== null) return JSON.stringify(value);
+  return value;
+}
+
+function rowToMovement(row) {
+  return {
+    id: row.id,
+    itemId: row.item_id,
+    importId: row.import_id,
+    action: row.action,
+    fromProject: row.from_project,
+    toProject: row.to_project,
+    fromLocation: row.from_location,
+    toLocation: row.to_location,
+    custodian: row.custodian,
+    note: row.note,
+    createdAt: row.created_at
+  };
+}
+
+function rowToImport(row) {
+  return {
+    id: row.id,
+    filename: row.filename,
+    projectName: row.project_name,
+    service: row.service,
+    status: row.status,
+    itemCount: row.item_count,
+    mappings: JSON.parse(row.mappings || 'null'),
+    stats: JSON.parse(row.stats || 'null'),
+    edits: JSON.parse(row.edits || 'null'),
+    createdAt: row.created_at,
+    rolledBackAt: row.rolled_back_at
+  };
+}
+
+function rowToItem(row) {
+  const item = {
+    id: row.id,
+    importId: row.import_id,
+    sourceId: row.source_id
+  };
+  Object.entries(ITEM_COLUMNS).forEach(([field, column]) => {
+    item[field] = row[column];
+  });
+  return {
+    ...item,
+    ...JSON.parse(row.details || '{}'),
+    fingerprint: { serialKey: row.serial_key, identityKey: row.identity_key },
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
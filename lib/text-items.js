@@ -0,0 +1,128 @@
+// lib/text-items.js - Line items from documents without tables: delivery
+// notes, bulleted lists, handwritten checklists
+import { extractQuantityFromName } from './numbers.js';
+import { categorizeItem } from './categories.js';
+
+// Columns of the table built from text; they map through detectFieldMappings
+// like any other header row, and "Source text" ends up in extraFields
+export const TEXT_TABLE_HEADERS = ['Quantity', 'Item', 'Brand', 'Model', 'Source text'];
+
+// How sure we are of fields read from free text, in place of the mapping
+// certainty a detected header gives
+export const TEXT_MAPPING_CERTAINTY = 0.6;
+
+// Brands common on construction sites. Others are found by position: a
+// capitalized word right before a model code ("Amoladora Makita GA4530")
+const KNOWN_BRANDS = [
+  'Bosch', 'Makita', 'DeWalt', 'Hilti', 'Milwaukee', 'Metabo', 'Festool', 'Ryobi', 'HiKOKI', 'Hitachi',
+  'Black & Decker', 'Black+Decker', 'Stanley', 'Einhell', 'AEG', 'Stihl', 'Husqvarna', 'Honda', 'Karcher',
+  'Kärcher', 'Atlas Copco', 'Wacker Neuson', 'Rubi', 'Leica', 'Topcon', 'Trimble', 'Fluke', 'Knipex', 'Wera',
+  'Facom', 'Bahco', 'Irwin', 'Truper', 'Bellota', 'Würth', 'Wurth', 'Fein', 'Flex', 'Sika', '3M', 'MSA',
+  'Uvex', 'Petzl', 'Caterpillar', 'JCB', 'Genie', 'Haulotte', 'Manitou'
+].sort((a, b) => b.length - a.length);
+
+// List markers in front of an item: bullets, checkboxes, "1." / "a)"
+const LIST_MARKER = /^\s*(?:[•·\-–—*▪■□☐☑☒✓✔○►>]+|\(?[0-9a-z]{1,3}[.)])\s+/i;
+
+// Lines that are document furniture rather than items
+const NOT_ITEMS = /^(fecha|date|proyecto|project|obra|site|cliente|customer|client|proveedor|supplier|albar[aá]n|delivery|pedido|order|factura|invoice|total|subtotal|iva|vat|firma|signature|recibido|received|direcci[oó]n|address|tel[eé]fono|phone|p[aá]gina|page|observaciones|notes?)\b/i;
+
+const MAX_LINE_LENGTH = 120;
+
+// One table from the text of a document, or null when no line looks like an
+// item. Each entry is { text, page, confidence }; key-value pairs whose value
+// is a quantity ("Taladro Bosch": "3") count as lines too. A line qualifies
+// with a quantity, a list marker, or a name the category rules recognize
+export function tableFromText({ lines = [], keyValuePairs = [] }) {
+  const rows = [];
+  const rowOrigins = [];
+  const rowConfidences = [];
+
+  const add = (parsed, { page = null, confidence = null }) => {
+    rows.push([parsed.quantity === null ? '' : String(parsed.quantity), parsed.name, parsed.brand, parsed.model, parsed.text]);
+    rowOrigins.push({ page, tableIndex: 0 });
+    rowConfidences.push(TEXT_TABLE_HEADERS.map(() => confidence));
+  };
+
+  lines.forEach(line => {
+    const parsed = parseItemLine(line.text);
+    if (parsed) add(parsed, line);
+  });
+
+  keyValuePairs.forEach(pair => {
+    const quantity = (pair.value || '').toString().trim().match(/^(\d+)\s*(?:uds?\.?|unidades|units?|pcs?\.?|x)?$/i);
+    if (!quantity) return;
+    const parsed = parseItemLine(`${quantity[1]} x ${pair.key}`);
+    if (parsed) add({ ...parsed, text: `${pair.key}: ${pair.value}` }, pair);
+  });
+
+  if (rows.length === 0) return null;
+
+  return {
+    source: 'text',
+    extractionMethod: 'text',
+    tableIndex: 0,
+    headers: [...TEXT_TABLE_HEADERS],
+    rows,
+    rowOrigins,
+    rowConfidences,
+    headerRowIndex: 0,
+    headerRowCount: 0
+  };
+}
+
+// "3 x Taladro Bosch GSB 13" -> { quantity: 3, name: 'Taladro', brand:
+// 'Bosch', model: 'GSB 13' }, or null for lines that aren't items
+export function parseItemLine(rawText) {
+  const text = (rawText || '').toString().replace(/\s+/g, ' ').trim();
+  if (!text || text.length > MAX_LINE_LENGTH || !/\p{L}{2,}/u.test(text)) return null;
+
+  const marked = LIST_MARKER.test(text);
+  const body = text.replace(LIST_MARKER, '').trim();
+  if (NOT_ITEMS.test(body)) return null;
+
+  const fromName = extractQuantityFromName(body) || leadingQuantity(body);
+  // "Responsable: Juan" is a label; "Casco: 25 uds" has its quantity
+  if (!fromName && /^[^:]{1,30}:\s/.test(body)) return null;
+  const name = fromName ? fromName.name : body;
+  if (!/\p{L}{2,}/u.test(name)) return null;
+
+  if (!fromName && !marked && !categorizeItem(name).matchedRule) return null;
+
+  const { itemName, brand, model } = splitBrandAndModel(name);
+  return { quantity: fromName ? fromName.quantity : null, name: itemName, brand, model, text };
+}
+
+// "3 Taladros" - a bare count before a word
+function leadingQuantity(text) {
+  const match = text.match(/^(\d{1,4})\s+(\p{L}.*)$/u);
+  return match ? { quantity: parseInt(match[1]), name: match[2].trim() } : null;
+}
+
+// The brand must follow the item's name; a line starting with it ("Bosch
+// GSB 13") keeps everything as the name
+function splitBrandAndModel(name) {
+  for (const brand of KNOWN_BRANDS) {
+    const match = name.match(new RegExp(`\\s${escapeRegExp(brand)}(?=[\\s,]|$)`, 'i'));
+    if (match) {
+      const start = match.index + 1;
+      return {
+        itemName: name.slice(0, start).trim(),
+        brand: name.slice(start, start + brand.length),
+        model: name.slice(start + brand.length).replace(/^[\s,\-–]+/, '').trim()
+      };
+    }
+  }
+
+  // "Amoladora Makita GA4530": a capitalized word, then a code with a digit
+  const byPosition = name.match(/^(.+?)\s+(\p{Lu}[\p{L}&+-]+)\s+([A-Z0-9][\w\-./]*\d[\w\-./]*(?:\s+[A-Z0-9][\w\-./]{0,5})*)$/u);
+  if (byPosition) {
+    return { itemName: byPosition[1].trim(), brand: byPosition[2], model: byPosition[3].trim() };
+  }
+
+  return { itemName: name, brand: '', model: '' };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,215 @@
+// lib/validation.js - Declarative validation rules with configurable severity
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { isPlaceholderSerial, serialKey } from './serials.js';
+
+// JSON or YAML, chosen by file extension
+const DEFAULT_CONFIG_PATH = process.env.VALIDATION_CONFIG || fileURLToPath(new URL('../config/validation.json', import.meta.url));
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+// Each rule looks at one item (check) or the whole file (checkAll) and
+// returns { field, message } findings; severity comes from the config.
+// Options are the rule's config entry, context carries categories and
+// conditions
+const RULES = {
+  'required-fields': {
+    check(item, { fields = ['itemName'] }) {
+      return fields
+        .filter(field => isMissing(item, field))
+        .map(field => ({ field, message: `${FIELD_LABELS[field] || field} is required` }));
+    }
+  },
+
+  'purchase-date-future': {
+    check(item) {
+      const today = new Date().toISOString().slice(0, 10);
+      return item.purchaseDate && item.purchaseDate > today
+        ? [{ field: 'purchaseDate', message: `Purchase date ${item.purchaseDate} is in the future` }]
+        : [];
+    }
+  },
+
+  'purchase-date-too-old': {
+    check(item, { minYear = 1950 }) {
+      return item.purchaseDate && parseInt(item.purchaseDate.slice(0, 4)) < minYear
+        ? [{ field: 'purchaseDate', message: `Purchase date ${item.purchaseDate} is before ${minYear}` }]
+        : [];
+    }
+  },
+
+  'serial-number-format': {
+    check(item, { pattern, requireDigit = false }) {
+      const serial = (item.serialNumber || '').toString().trim();
+      if (!serial || isPlaceholderSerial(serial)) return [];
+      const malformed = (pattern && !new RegExp(pattern).test(serial)) || (requireDigit && !/\d/.test(serial));
+      return malformed ? [{ field: 'serialNumber', message: `Serial number "${serial}" looks malformed` }] : [];
+    }
+  },
+
+  'quantity-negative': {
+    check(item) {
+      return typeof item.quantity === 'number' && item.quantity < 0
+        ? [{ field: 'quantity', message: `Quantity ${item.quantity} is negative` }]
+        : [];
+    }
+  },
+
+  'quantity-not-integer': {
+    check(item) {
+      return typeof item.quantity === 'number' && !Number.isInteger(item.quantity)
+        ? [{ field: 'quantity', message: `Quantity ${item.quantity} is not a whole number` }]
+        : [];
+    }
+  },
+
+  'unknown-category': {
+    check(item, options, { categories }) {
+      return categories && item.category && !categories.includes(item.category)
+        ? [{ field: 'category', message: `Unknown category "${item.category}"` }]
+        : [];
+    }
+  },
+
+  // lib/conditions.js leaves condition empty when it can't map the text
+  'unrecognized-condition': {
+    check(item, options, { conditions }) {
+      if (item.condition || !item.conditionRaw) return [];
+      const allowed = conditions ? ` - use one of: ${conditions.join(', ')}` : '';
+      return [{ field: 'condition', message: `Condition "${item.conditionRaw}" is not recognized${allowed}` }];
+    }
+  },
+
+  // Units expanded from one row share its serial, so only the first counts
+  'duplicate-serial': {
+    checkAll(items) {
+      const seen = new Map();
+      const findings = new Map();
+      items.forEach(item => {
+        const key = serialKey(item.serialNumber);
+        if (!key || (item.unitNumber && item.unitNumber > 1)) return;
+        if (seen.has(key)) {
+          findings.set(item.id, [{
+            field: 'serialNumber',
+            message: `Serial number "${item.serialNumber}" also appears on ${seen.get(key).itemName} (${seen.get(key).id})`
+          }]);
+        } else {
+          seen.set(key, item);
+        }
+      });
+      return findings;
+    }
+  }
+};
+
+const FIELD_LABELS = {
+  itemName: 'Item name',
+  project: 'Project',
+  category: 'Category',
+  condition: 'Condition',
+  purchaseDate: 'Purchase date',
+  quantity: 'Quantity',
+  serialNumber: 'Serial number'
+};
+
+let config = null;
+
+export function loadValidationRules(configPath = DEFAULT_CONFIG_PATH) {
+  const raw = fs.readFileSync(configPath, 'utf8');
+  const parsed = /\.ya?ml$/i.test(configPath) ? yaml.load(raw) : JSON.parse(raw);
+
+  const rules = {};
+  Object.entries(parsed.rules || {}).forEach(([id, options]) => {
+    if (!RULES[id]) {
+      throw new Error(`Unknown validation rule "${id}" - available: ${Object.keys(RULES).join(', ')}`);
+    }
+    const severity = options.severity || 'error';
+    if (severity !== 'off' && !SEVERITIES.includes(severity)) {
+      throw new Error(`Validation rule "${id}" has invalid severity "${severity}" - use ${SEVERITIES.join(', ')} or off`);
+    }
+    if (severity !== 'off') rules[id] = { ...options, severity };
+  });
+
+  config = {
+    source: configPath,
+    blockImportOnErrors: parsed.blockImportOnErrors !== false,
+    rules
+  };
+  console.log(`✅ Loaded ${Object.keys(rules).length} validation rule(s) from ${configPath}`);
+  return config;
+}
+
+function getConfig() {
+  return config || loadValidationRules();
+}
+
+// The active rules and their severities, for the UI and reports
+export function getValidationRules() {
+  return Object.entries(getConfig().rules).map(([id, { severity }]) => ({ id, severity }));
+}
+
+export function blocksImport(summary) {
+  return getConfig().blockImportOnErrors && summary.errors > 0;
+}
+
+// Run every active rule over the items. Issues raised by rules on an
+// earlier run are replaced; issues from parsing (ambiguous dates, units not
+// expanded) are kept. context: { categories: [names], conditions: [names] }
+export function validateItems(items, context = {}) {
+  const { rules } = getConfig();
+  const fileFindings = Object.entries(rules)
+    .filter(([id]) => RULES[id].checkAll)
+    .map(([id, options]) => ({ id, options, findings: RULES[id].checkAll(items, options, context) }));
+
+  const validated = items.map(item => {
+    const issues = (item.validationIssues || []).filter(issue => !issue.rule);
+
+    Object.entries(rules).forEach(([id, options]) => {
+      if (!RULES[id].check) return;
+      RULES[id].check(item, options, context).forEach(finding => {
+        issues.push({ ...finding, severity: options.severity, rule: id });
+      });
+    });
+    fileFindings.forEach(({ id, options, findings }) => {
+      (findings.get(item.id) || []).forEach(finding => {
+        issues.push({ ...finding, severity: options.severity, rule: id });
+      });
+    });
+
+    return { ...item, validationIssues: issues };
+  });
+
+  return { items: validated, summary: summarizeIssues(validated) };
+}
+
+// Counts per severity and per rule, and how many items have errors
+export function summarizeIssues(items) {
+  const summary = { errors: 0, warnings: 0, info: 0, itemsWithErrors: 0, itemsWithIssues: 0, byRule: {} };
+
+  items.forEach(item => {
+    const issues = item.validationIssues || [];
+    if (issues.length > 0) summary.itemsWithIssues += 1;
+    if (issues.some(issue => issue.severity === 'error')) summary.itemsWithErrors += 1;
+
+    issues.forEach(issue => {
+      if (issue.severity === 'error') summary.errors += 1;
+      else if (issue.severity === 'warning') summary.warnings += 1;
+      else summary.info += 1;
+
+      const rule = issue.rule || 'parsing';
+      summary.byRule[rule] ||= { severity: issue.severity, count: 0 };
+      summary.byRule[rule].count += 1;
+    });
+  });
+
+  summary.canImport = !blocksImport(summary);
+  return summary;
+}
+
+function isMissing(item, field) {
+  // Rows without a name get a placeholder ("Item 3") so they stay visible
+  if (field === 'itemName' && item.placeholderName) return true;
+  const value = item[field];
+  return value === null || value === undefined || value.toString().trim() === '';
+}
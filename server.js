@@ -1,194 +1,48 @@
 // server.js - Secure version with environment variables
-import { DocumentAnalysisClient, AzureKeyCredential } from "@azure/ai-form-recognizer";
+// Loaded first so the lib/ modules see .env settings when they're imported
+import './lib/env.js';
 import express from 'express';
 import multer from 'multer';
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
+import { listProfiles, saveProfile, deleteProfile, sanitizeMappings } from './lib/profiles.js';
+import { loadTaxonomy, getCategories } from './lib/categories.js';
+import { loadConditions, getConditions, normalizeCondition } from './lib/conditions.js';
+import { loadValidationRules, validateItems, summarizeIssues, blocksImport } from './lib/validation.js';
+import { openStore, createImport, listImports, getImport, rollbackImport, listMovedItems, listItems, getItem, updateItem, deleteItem, findItemsByFingerprint, listProjects, listAllItems, moveItem, listMovements } from './lib/store.js';
+import { locationReport, checkSiteInventory } from './lib/movements.js';
+import { reconcileItems } from './lib/reconcile.js';
+import { EXPORT_FORMATS, toCsv, toXlsx, toJsonPayload } from './lib/export.js';
+import { applyCorrections, countCorrections, cleanItemChanges } from './lib/review.js';
+import { loadLabelLayouts, getLabelLayouts, buildLabels, toLabelsPdf } from './lib/labels.js';
+import { loadClassifier, learnCorrections, describeClassifier, exportClassifier, resetClassifier } from './lib/classifier.js';
+import { listExtractors, selectExtractor, DEFAULT_EXTRACTOR } from './lib/extractors/index.js';
+import { createJob, getJob, listJobs, summarizeJob, isFinished, subscribe } from './lib/jobs.js';
+import { expandArchives } from './lib/archive.js';
+import { loadKnownProjects, resolveRowProject } from './lib/projects.js';
+import { DATE_LOCALE, QUANTITY_MODE, TARGET_FIELDS, extractFiles, buildExtractionResponse, buildSummary, validationContext } from './lib/pipeline.js';
 
 const app = express();
 const upload = multer({ storage: multer.memoryStorage() });
+app.use(express.json({ limit: '5mb' }));
 
 // Get Azure credentials from environment variables
 const AZURE_ENDPOINT = process.env.AZURE_ENDPOINT;
 const AZURE_KEY = process.env.AZURE_KEY;
 const PORT = process.env.PORT || 3000;
 
-// Validate required environment variables
+// Azure is optional - spreadsheets, CSV files, recorded results and local
+// OCR work without it
 if (!AZURE_ENDPOINT || !AZURE_KEY) {
-  console.error('❌ Missing required environment variables:');
-  console.error('   AZURE_ENDPOINT:', AZURE_ENDPOINT ? '✅ Set' : '❌ Missing');
-  console.error('   AZURE_KEY:', AZURE_KEY ? '✅ Set' : '❌ Missing');
-  console.error('');
-  console.error('📋 Please create a .env file with:');
-  console.error('   AZURE_ENDPOINT=your_azure_endpoint');
-  console.error('   AZURE_KEY=your_azure_key');
-  process.exit(1);
-}
-
-const client = new DocumentAnalysisClient(AZURE_ENDPOINT, new AzureKeyCredential(AZURE_KEY));
-
-// YOUR WEBAPP'S TARGET FIELDS (from your original requirements)
-const TARGET_FIELDS = {
-  // Required fields
-  project: 'Project name or work site',
-  itemName: 'Tool/equipment name or description', 
-  category: 'Equipment category (auto-assigned)',
-  
-  // Optional fields
-  condition: 'Current condition (defaults to Good)',
-  purchaseDate: 'Date purchased (YYYY-MM-DD format)',
-  description: 'Additional details and specifications'
-};
-
-// Flexible field detection - works with ANY Excel format
-function detectFieldMappings(headers) {
-  const mappings = {};
-  const normalizedHeaders = headers.map(h => 
-    h.toLowerCase().replace(/[^a-z0-9]/g, '').replace(/\s+/g, '')
-  );
-  
-  // Broad patterns for flexible detection
-  const fieldPatterns = {
-    // Item name - most important field
-    itemName: [
-      'nombre', 'item', 'descripcion', 'description', 'herramienta', 'tool', 
-      'equipment', 'producto', 'product', 'material', 'articulo', 'name'
-    ],
-    
-    // Purchase date - flexible date detection
-    purchaseDate: [
-      'fecha', 'date', 'compra', 'purchase', 'año', 'year', 'adquisicion',
-      'fechacompra', 'purchasedate', 'bought', 'acquired'
-    ],
-    
-    // Condition
-    condition: [
-      'condicion', 'condition', 'estado', 'state', 'status', 'situacion'
-    ],
-    
-    // Fields that help build description
-    brand: ['marca', 'brand', 'fabricante', 'manufacturer'],
-    model: ['modelo', 'model', 'tipo', 'type'],
-    serialNumber: ['serie', 'serial', 'numero', 'nserie', 'serialnumber'],
-    specifications: ['caracteristicas', 'specs', 'specifications', 'features', 'detalles'],
-    supplier: ['proveedor', 'supplier', 'vendor'],
-    quantity: ['cant', 'cantidad', 'qty', 'quantity', 'unidades', 'units']
-  };
-  
-  Object.entries(fieldPatterns).forEach(([field, patterns]) => {
-    normalizedHeaders.forEach((header, index) => {
-      if (patterns.some(pattern => 
-        header.includes(pattern) || pattern.includes(header)
-      )) {
-        if (!mappings[field]) {
-          mappings[field] = index;
-        }
-      }
-    });
-  });
-  
-  return mappings;
+  console.warn('⚠️ AZURE_ENDPOINT / AZURE_KEY not set - the Azure extractor is disabled');
+  console.warn('   Add them to .env to analyze PDFs and images with Azure Document Intelligence');
 }
 
-// Smart category assignment for construction inventory
-function categorizeItem(itemName) {
-  const name = (itemName || '').toLowerCase();
-  
-  const categories = {
-    'Power Tools': [
-      'taladro', 'martillo', 'radial', 'amoladora', 'batidora', 'sierra',
-      'drill', 'hammer', 'grinder', 'mixer', 'saw', 'cutter'
-    ],
-    'Safety Equipment': [
-      'arnes', 'casco', 'safety', 'protective', 'proteccion', 'señal',
-      'helmet', 'harness', 'signal', 'warning', 'guard'
-    ],
-    'Hand Tools': [
-      'llave', 'destornillador', 'pala', 'martillo', 'cincel',
-      'wrench', 'screwdriver', 'shovel', 'chisel', 'pliers'
-    ],
-    'Measuring Tools': [
-      'metro', 'nivel', 'regla', 'medidor',
-      'measure', 'level', 'ruler', 'gauge'
-    ],
-    'Power Equipment': [
-      'grupo', 'generador', 'compresor', 'motor',
-      'generator', 'compressor', 'engine', 'power'
-    ],
-    'Construction Materials': [
-      'cable', 'tubo', 'material', 'alambre',
-      'pipe', 'wire', 'beam', 'rod'
-    ]
-  };
-  
-  for (const [category, keywords] of Object.entries(categories)) {
-    if (keywords.some(keyword => name.includes(keyword))) {
-      return category;
-    }
-  }
-  
-  return 'General Equipment';
-}
-
-// Flexible date parsing
-function formatPurchaseDate(dateValue) {
-  if (!dateValue) return null;
-  
-  const dateStr = dateValue.toString().trim();
-  
-  // Try various date formats
-  const patterns = [
-    /(\d{1,2})\/(\d{1,2})\/(\d{4})/,    // MM/DD/YYYY
-    /(\d{1,2})-(\d{1,2})-(\d{4})/,     // MM-DD-YYYY  
-    /(\d{4})-(\d{1,2})-(\d{1,2})/,     // YYYY-MM-DD
-    /(\d{4})\/(\d{1,2})\/(\d{1,2})/,   // YYYY/MM/DD
-    /(\d{4})/                          // Just year
-  ];
-  
-  for (const pattern of patterns) {
-    const match = dateStr.match(pattern);
-    if (match) {
-      if (pattern === patterns[4]) { // Just year
-        const year = parseInt(match[1]);
-        if (year > 1900 && year <= new Date().getFullYear() + 5) {
-          return `${year}-01-01`;
-        }
-      } else if (pattern === patterns[2] || pattern === patterns[3]) { // Already YYYY-MM-DD format
-        return dateStr;
-      } else { // MM/DD/YYYY format - convert to YYYY-MM-DD
-        const month = match[1].padStart(2, '0');
-        const day = match[2].padStart(2, '0');
-        const year = match[3];
-        return `${year}-${month}-${day}`;
-      }
-    }
-  }
-  
-  return null;
-}
-
-// Build description from available fields
-function buildDescription(row, mappings, headers) {
-  const parts = [];
-  
-  const descriptionFields = ['brand', 'model', 'serialNumber', 'specifications', 'supplier', 'quantity'];
-  
-  descriptionFields.forEach(field => {
-    const value = getFieldValue(row, mappings[field]);
-    if (value && value.trim()) {
-      const fieldName = headers[mappings[field]] || field;
-      parts.push(`${fieldName}: ${value}`);
-    }
-  });
-  
-  return parts.join(' | ') || 'No additional details available';
-}
-
-function getFieldValue(row, index) {
-  return index !== undefined ? (row[index] || '').toString().trim() : '';
-}
+// Load the category taxonomy up front so a broken config fails at startup
+loadTaxonomy();
+loadConditions();
+loadValidationRules();
+loadLabelLayouts();
+await openStore();
+await loadClassifier();
 
 // Demo Frontend with Results Table
 app.get('/', (req, res) => {
@@ -247,6 +101,39 @@ app.get('/', (req, res) => {
                 margin: 10px;
             }
             .results { margin-top: 30px; display: none; }
+            .btn-small { font-size: 14px; padding: 8px 16px; }
+            .upload-options {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 20px;
+                justify-content: center;
+                margin-bottom: 20px;
+            }
+            .upload-options input, .upload-options select {
+                display: block;
+                margin-top: 5px;
+                padding: 8px;
+                border: 1px solid #ccc;
+                border-radius: 6px;
+                min-width: 220px;
+            }
+            .rule-explanation { color: #666; font-size: 13px; }
+            .mapping-block {
+                background: #f8f9fa;
+                border: 1px solid #ddd;
+                border-radius: 8px;
+                padding: 15px;
+                margin: 15px 0;
+                overflow-x: auto;
+            }
+            .mapping-table { border-collapse: collapse; margin: 10px 0; }
+            .mapping-table th, .mapping-table td {
+                padding: 6px 10px;
+                border: 1px solid #ddd;
+                text-align: left;
+                white-space: nowrap;
+            }
+            .mapping-source { color: #666; font-size: 13px; margin-left: 10px; }
             .item-card {
                 background: white;
                 border: 1px solid #ddd;
@@ -287,6 +174,26 @@ app.get('/', (req, res) => {
             .confidence.high { background: #d4edda; color: #155724; }
             .confidence.medium { background: #fff3cd; color: #856404; }
             .confidence.low { background: #f8d7da; color: #721c24; }
+            .review-grid { width: 100%; border-collapse: collapse; font-size: 13px; }
+            .review-grid th, .review-grid td { padding: 6px; border-bottom: 1px solid #ddd; text-align: left; }
+            .review-grid th { background: #667eea; color: white; }
+            .review-grid input, .review-grid select { width: 100%; padding: 4px; border: 1px solid #ccc; border-radius: 4px; }
+            .review-grid input[type="checkbox"] { width: auto; }
+            .review-grid tr.needs-review { background: #fff8e1; }
+            .review-grid tr.excluded, .review-grid tr.merged { opacity: 0.45; }
+            .review-grid td.cell-issue input, .review-grid td.cell-issue select { border: 2px solid #dc3545; }
+            .review-grid td.cell-doubtful input, .review-grid td.cell-doubtful select { border: 2px solid #ffc107; }
+            .match-status {
+                display: inline-block;
+                padding: 4px 8px;
+                border-radius: 12px;
+                font-size: 12px;
+                background: #e2e3e5;
+                color: #383d41;
+            }
+            .match-status.new { background: #d1ecf1; color: #0c5460; }
+            .match-status.updated { background: #fff3cd; color: #856404; }
+            .match-status.possible_duplicate { background: #f8d7da; color: #721c24; }
             .loading { display: none; text-align: center; padding: 30px; }
             .spinner {
                 border: 4px solid #f3f3f3;
@@ -343,9 +250,11 @@ app.get('/', (req, res) => {
                         <div>
                             <h4>Optional Fields:</h4>
                             <ul>
-                                <li><strong>Condition:</strong> Item condition (defaults to 'Good')</li>
+                                <li><strong>Condition:</strong> Normalized to New, Good, Fair, Poor, Out of Service or Lost ("bueno", "B", "fuera de servicio"...)</li>
                                 <li><strong>Purchase Date:</strong> When item was acquired</li>
-                                <li><strong>Description:</strong> Additional specifications</li>
+                                <li><strong>Description:</strong> Additional specifications, for display</li>
+                                <li><strong>Brand, Model, Serial Number, Supplier, Specifications:</strong> Structured attributes</li>
+                                <li><strong>Extra Fields:</strong> Any other column, keyed by its header</li>
                             </ul>
                         </div>
                     </div>
@@ -354,15 +263,48 @@ app.get('/', (req, res) => {
                 <div class="upload-area" id="uploadArea">
                     <h3>📁 Upload Your Excel/PDF File</h3>
                     <p>Works with any Excel format - flexible field detection</p>
-                    <input type="file" id="fileInput" accept=".pdf,.csv,.xlsx,.xls,.png,.jpg" style="display: none;">
+                    <input type="file" id="fileInput" multiple accept=".pdf,.csv,.tsv,.xlsx,.xls,.png,.jpg,.jpeg,.tif,.tiff,.bmp,.webp,.zip" style="display: none;">
                     <button class="btn" onclick="document.getElementById('fileInput').click()">
-                        📤 Choose File
+                        📤 Choose Files
                     </button>
                     <p style="margin-top: 15px; color: #666;">
-                        <strong>Supported:</strong> PDF (recommended), CSV, Excel, Images
+                        <strong>Supported:</strong> PDF (recommended), CSV, Excel, Images - or several at once / a ZIP of them
                     </p>
                 </div>
 
+                <div class="upload-options">
+                    <label>
+                        Project <span style="color: #666;">(optional - used when the file doesn't name one)</span>
+                        <input type="text" id="projectInput" list="knownProjects" placeholder="e.g. Torre Norte">
+                        <datalist id="knownProjects"></datalist>
+                    </label>
+                    <label>
+                        Company <span style="color: #666;">(optional - applies its category overrides)</span>
+                        <input type="text" id="companyInput" placeholder="e.g. ACME">
+                    </label>
+                    <label>
+                        Date format
+                        <select id="dateLocaleInput">
+                            <option value="">Auto-detect from the file</option>
+                            <option value="es">DD/MM/YYYY (es, en-GB)</option>
+                            <option value="en-US">MM/DD/YYYY (en-US)</option>
+                        </select>
+                    </label>
+                    <label>
+                        Quantities
+                        <select id="quantityModeInput">
+                            <option value="">Keep as a quantity field</option>
+                            <option value="explode">One item per unit (individually tracked)</option>
+                        </select>
+                    </label>
+                    <label>
+                        Extractor
+                        <select id="extractorInput">
+                            <option value="">Auto</option>
+                        </select>
+                    </label>
+                </div>
+
                 <div style="text-align: center;">
                     <button id="processBtn" class="btn" onclick="processFile()" disabled>
                         🤖 Extract Inventory Data
@@ -371,14 +313,75 @@ app.get('/', (req, res) => {
 
                 <div class="loading" id="loading">
                     <div class="spinner"></div>
-                    <h3>Processing with Azure AI...</h3>
-                    <p>Analyzing document and mapping to your webapp fields...</p>
+                    <h3>Extracting inventory...</h3>
+                    <p id="jobStatus">Uploading...</p>
                 </div>
 
                 <div class="results" id="results">
                     <h3>📊 Extraction Results</h3>
                     <div class="stats-grid" id="stats"></div>
                     
+                    <div style="text-align: center;">
+                        <button class="btn" id="saveImportBtn" onclick="saveImport()">💾 Save to Inventory</button>
+                        <label style="display: block; color: #666;">
+                            <input type="checkbox" id="includeDuplicatesInput"> Also save possible duplicates
+                        </label>
+                        <p>
+                            <button class="btn" onclick="exportResult('xlsx')">📥 Excel</button>
+                            <button class="btn" onclick="exportResult('csv')">📥 CSV</button>
+                            <button class="btn" onclick="exportResult('json')">📥 JSON</button>
+                            <select id="exportGroupByInput">
+                                <option value="project">One sheet per project</option>
+                                <option value="category">One sheet per category</option>
+                            </select>
+                        </p>
+                        <p>
+                            <button class="btn" onclick="printLabels()">🏷️ Asset Labels (PDF)</button>
+                            <select id="labelLayoutInput"></select>
+                            <label style="color: #666;">
+                                start at label <input type="number" id="labelStartInput" value="1" min="1" style="width: 60px;">
+                            </label>
+                        </p>
+                        <p id="importStatus" style="color: #666;"></p>
+                    </div>
+
+                    <h4>🧭 Column Mapping</h4>
+                    <div id="mappingEditor"></div>
+
+                    <h4>✏️ Review &amp; Correct</h4>
+                    <p style="color: #666;">
+                        Highlighted rows have low confidence or validation issues. Edits, merges and exclusions
+                        are applied when you save to inventory.
+                    </p>
+                    <div style="overflow-x: auto;">
+                        <table class="review-grid">
+                            <thead>
+                                <tr>
+                                    <th title="Include in the import">Keep</th>
+                                    <th title="Select rows to merge">Merge</th>
+                                    <th>Item Name</th>
+                                    <th>Brand</th>
+                                    <th>Model</th>
+                                    <th>Serial No.</th>
+                                    <th>Category</th>
+                                    <th>Subcategory</th>
+                                    <th>Condition</th>
+                                    <th>Purchase Date</th>
+                                    <th>Qty</th>
+                                    <th>Unit Price</th>
+                                    <th>Confidence</th>
+                                    <th>Issues</th>
+                                </tr>
+                            </thead>
+                            <tbody id="reviewGridBody"></tbody>
+                        </table>
+                    </div>
+                    <p>
+                        <button class="btn" onclick="mergeSelected()">🔗 Merge Selected Rows</button>
+                        <button class="btn" onclick="resetCorrections()">↺ Undo Corrections</button>
+                        <span id="correctionStatus" style="color: #666;"></span>
+                    </p>
+
                     <h4>📋 Individual Items</h4>
                     <div id="itemsList"></div>
                     
@@ -391,28 +394,81 @@ app.get('/', (req, res) => {
                                 <th>Project</th>
                                 <th>Purchase Date</th>
                                 <th>Condition</th>
+                                <th>Qty</th>
                                 <th>Confidence</th>
                             </tr>
                         </thead>
                         <tbody id="tableBody">
                         </tbody>
                     </table>
+
+                    <h4 style="margin-top: 30px;">🧮 Totals by Category</h4>
+                    <table class="summary-table">
+                        <thead>
+                            <tr>
+                                <th>Category</th>
+                                <th>Items</th>
+                                <th>Quantity</th>
+                                <th>Value</th>
+                            </tr>
+                        </thead>
+                        <tbody id="categoryTotals">
+                        </tbody>
+                    </table>
+
+                    <div id="fileTotalsSection" style="display: none;">
+                        <h4 style="margin-top: 30px;">🗂️ Files in this Batch</h4>
+                        <table class="summary-table">
+                            <thead>
+                                <tr>
+                                    <th>File</th>
+                                    <th>Project</th>
+                                    <th>Items</th>
+                                    <th>Quantity</th>
+                                    <th>Value</th>
+                                </tr>
+                            </thead>
+                            <tbody id="fileTotals">
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <h4 style="margin-top: 30px;">📍 Site Check</h4>
+                    <p style="color: #666;">
+                        Compare this file with what the inventory expects at its project: items found, items that
+                        turned up from another project, items missing and items not in the inventory yet.
+                    </p>
+                    <p><button class="btn" onclick="checkSite(false)">📍 Check Against Site</button></p>
+                    <div id="siteCheckResult"></div>
+                </div>
+
+                <div class="target-fields" style="margin-top: 30px;">
+                    <h3>🚚 Equipment Locations</h3>
+                    <p style="color: #666;">Where everything is, who has it checked out, and each asset's movements.</p>
+                    <p>
+                        <input type="text" id="locationProjectInput" list="knownProjects" placeholder="All projects" style="padding: 8px; border: 1px solid #ccc; border-radius: 6px;">
+                        <button class="btn btn-small" onclick="loadLocations()">🔍 Show</button>
+                    </p>
+                    <div id="locationReport"></div>
+                    <div id="movementHistory"></div>
                 </div>
             </div>
         </div>
 
         <script>
-            let selectedFile = null;
+            let selectedFiles = [];
+            let currentResult = null;
 
             document.getElementById('fileInput').addEventListener('change', function(e) {
-                selectedFile = e.target.files[0];
-                if (selectedFile) {
+                selectedFiles = [...e.target.files];
+                if (selectedFiles.length > 0) {
+                    const totalSize = selectedFiles.reduce((sum, file) => sum + file.size, 0);
                     document.getElementById('uploadArea').innerHTML = \`
-                        <h3>✅ File Selected</h3>
-                        <p><strong>\${selectedFile.name}</strong></p>
-                        <p>Size: \${(selectedFile.size / 1024 / 1024).toFixed(2)} MB</p>
+                        <h3>✅ \${selectedFiles.length === 1 ? 'File' : selectedFiles.length + ' Files'} Selected</h3>
+                        <p><strong>\${selectedFiles.map(file => escapeHtml(file.name)).join(', ')}</strong></p>
+                        <p>Size: \${(totalSize / 1024 / 1024).toFixed(2)} MB</p>
                         <button class="btn" onclick="document.getElementById('fileInput').click()">
-                            📁 Choose Different File
+                            📁 Choose Different Files
                         </button>
                     \`;
                     document.getElementById('processBtn').disabled = false;
@@ -420,37 +476,74 @@ app.get('/', (req, res) => {
             });
 
             async function processFile() {
-                if (!selectedFile) return;
+                if (selectedFiles.length === 0) return;
 
                 document.getElementById('loading').style.display = 'block';
                 document.getElementById('results').style.display = 'none';
+                document.getElementById('jobStatus').textContent = 'Uploading...';
 
                 const formData = new FormData();
-                formData.append('file', selectedFile);
+                selectedFiles.forEach(file => formData.append('files', file));
+                formData.append('project', document.getElementById('projectInput').value);
+                formData.append('company', document.getElementById('companyInput').value);
+                formData.append('dateLocale', document.getElementById('dateLocaleInput').value);
+                formData.append('quantityMode', document.getElementById('quantityModeInput').value);
+                formData.append('extractor', document.getElementById('extractorInput').value);
 
                 try {
-                    const response = await fetch('/extract-inventory', {
+                    // Large documents are processed in the background; follow the job's stages
+                    const response = await fetch('/jobs', {
                         method: 'POST',
                         body: formData
                     });
-
-                    const result = await response.json();
-                    
-                    document.getElementById('loading').style.display = 'none';
-
-                    if (result.success) {
-                        displayResults(result);
-                    } else {
-                        displayError(result);
+                    const job = await response.json();
+                    if (!job.success) {
+                        document.getElementById('loading').style.display = 'none';
+                        displayError(job);
+                        return;
                     }
-
+                    followJob(job);
                 } catch (error) {
                     document.getElementById('loading').style.display = 'none';
                     displayError({ error: 'Network error', details: error.message });
                 }
             }
 
+            const STAGE_LABELS = {
+                uploaded: '📤 Uploaded - waiting to start',
+                analyzing: '🔍 Analyzing document',
+                mapping: '🧭 Mapping columns to your webapp fields',
+                done: '✅ Done',
+                failed: '❌ Failed'
+            };
+
+            function followJob(job) {
+                const events = new EventSource(job.eventsUrl);
+                events.addEventListener('stage', async event => {
+                    const state = JSON.parse(event.data);
+                    document.getElementById('jobStatus').textContent =
+                        STAGE_LABELS[state.stage] + (state.message ? ' - ' + state.message : '');
+                    if (state.stage !== 'done' && state.stage !== 'failed') return;
+
+                    events.close();
+                    document.getElementById('loading').style.display = 'none';
+                    if (state.stage === 'failed') {
+                        displayError({ error: 'Processing failed', details: state.message });
+                        return;
+                    }
+                    const response = await fetch(job.statusUrl);
+                    displayResults((await response.json()).result);
+                });
+            }
+
             function displayResults(result) {
+                currentResult = result;
+                document.getElementById('saveImportBtn').disabled = false;
+                document.getElementById('importStatus').textContent = '';
+                document.getElementById('siteCheckResult').innerHTML = '';
+                renderMappingEditor(result);
+                resetCorrections();
+
                 // Stats
                 document.getElementById('stats').innerHTML = \`
                     <div class="stat-card">
@@ -469,8 +562,59 @@ app.get('/', (req, res) => {
                         <div class="stat-number">\${new Set(result.extractedItems.map(i => i.category)).size}</div>
                         <div>Categories</div>
                     </div>
+                    <div class="stat-card">
+                        <div class="stat-number">\${result.summary.totalQuantity}</div>
+                        <div>Total Quantity</div>
+                    </div>
+                    <div class="stat-card">
+                        <div class="stat-number" style="font-size: 1.3em;">\${formatValue(result.summary.totalValue)}</div>
+                        <div>Total Value</div>
+                    </div>
+                    <div class="stat-card">
+                        <div class="stat-number" style="font-size: 1.3em;">\${result.reconciliation.new} / \${result.reconciliation.updated} / \${result.reconciliation.unchanged}</div>
+                        <div>New / Updated / Unchanged</div>
+                    </div>
+                    <div class="stat-card">
+                        <div class="stat-number">\${result.reconciliation.possible_duplicate}</div>
+                        <div>Possible Duplicates</div>
+                    </div>
+                    <div class="stat-card">
+                        <div class="stat-number" style="font-size: 1.3em;">\${result.validation.errors} / \${result.validation.warnings}</div>
+                        <div>Errors / Warnings\${result.validation.canImport ? '' : ' - fix errors to save'}</div>
+                    </div>
                 \`;
 
+                // Totals per category
+                document.getElementById('categoryTotals').innerHTML = Object.entries(result.summary.byCategory)
+                    .map(([category, totals]) => \`
+                        <tr>
+                            <td>\${escapeHtml(category)}</td>
+                            <td>\${totals.items}</td>
+                            <td>\${totals.quantity}</td>
+                            <td>\${formatValue(totals.value)}</td>
+                        </tr>
+                    \`).join('');
+
+                // Per-file totals, only worth showing for a batch
+                const files = result.files || [];
+                document.getElementById('fileTotalsSection').style.display = files.length > 1 ? 'block' : 'none';
+                document.getElementById('fileTotals').innerHTML = files.map(file => file.status === 'failed'
+                    ? \`
+                        <tr class="needs-review">
+                            <td>\${escapeHtml(file.filename)}</td>
+                            <td colspan="4">❌ \${escapeHtml(file.error)}</td>
+                        </tr>
+                    \`
+                    : \`
+                        <tr>
+                            <td>\${escapeHtml(file.filename)}\${file.archive ? \` <span style="color: #666;">(\${escapeHtml(file.archive)})</span>\` : ''}</td>
+                            <td>\${escapeHtml(file.projectName)}</td>
+                            <td>\${file.totalItems}</td>
+                            <td>\${file.totalQuantity}</td>
+                            <td>\${formatValue(file.totalValue)}</td>
+                        </tr>
+                    \`).join('');
+
                 // Individual items
                 let itemsHtml = '';
                 result.extractedItems.forEach((item, index) => {
@@ -479,14 +623,29 @@ app.get('/', (req, res) => {
                     
                     itemsHtml += \`
                         <div class="item-card">
-                            <h4>\${item.itemName || 'Unnamed Item'} 
+                            <h4>\${escapeHtml(item.itemName || 'Unnamed Item')} 
                                 <span class="confidence \${confidenceClass}">\${item.confidence}%</span>
+                                <span class="match-status \${item.match.status}">\${MATCH_LABELS[item.match.status]}</span>
                             </h4>
-                            <p><strong>Category:</strong> \${item.category}</p>
-                            <p><strong>Project:</strong> \${item.project}</p>
-                            <p><strong>Condition:</strong> \${item.condition}</p>
-                            <p><strong>Purchase Date:</strong> \${item.purchaseDate || 'Not specified'}</p>
-                            <p><strong>Description:</strong> \${item.description}</p>
+                            \${describeMatch(item)}
+                            <p><strong>Category:</strong> \${escapeHtml(item.category)}\${item.subcategory ? ' › ' + escapeHtml(item.subcategory) : ''}
+                                <span class="rule-explanation">(\${explainCategory(item)})</span>
+                            </p>
+                            <p><strong>Project:</strong> \${escapeHtml(item.project)}
+                                <span class="rule-explanation">(\${describeProjectSource(item)})</span>
+                            </p>
+                            <p><strong>Condition:</strong> \${escapeHtml(item.condition || 'Not recognized')}
+                                \${item.conditionRaw && item.conditionRaw !== item.condition ? \`<span class="rule-explanation">(written as "\${escapeHtml(item.conditionRaw)}")</span>\` : ''}
+                            </p>
+                            <p><strong>Purchase Date:</strong> \${escapeHtml(item.purchaseDate || 'Not specified')}</p>
+                            <p><strong>Quantity:</strong> \${item.quantity}\${item.unitCount ? \` (unit \${item.unitNumber} of \${item.unitCount})\` : ''}
+                                \${item.unitPrice !== null ? \` · <strong>Unit price:</strong> \${formatMoney(item.unitPrice, item.currency)}\` : ''}
+                                \${item.totalValue !== null ? \` · <strong>Total:</strong> \${formatMoney(item.totalValue, item.currency)}\` : ''}
+                            </p>
+                            <p><strong>Description:</strong> \${escapeHtml(item.description)}</p>
+                            \${Object.keys(item.extraFields || {}).length > 0 ? \`<p style="color: #666; font-size: 13px;"><strong>Other columns:</strong> \${Object.entries(item.extraFields).map(([header, value]) => \`\${escapeHtml(header)}: \${escapeHtml(value)}\`).join(' · ')}</p>\` : ''}
+                            <p style="color: #666; font-size: 13px;"><strong>Confidence by field:</strong> \${describeConfidence(item)}</p>
+                            <p style="color: #666; font-size: 13px;"><strong>Source:</strong> \${formatSource(item)}</p>
                         </div>
                     \`;
                 });
@@ -499,11 +658,12 @@ app.get('/', (req, res) => {
                     
                     tableHtml += \`
                         <tr>
-                            <td>\${item.itemName}</td>
-                            <td>\${item.category}</td>
-                            <td>\${item.project}</td>
-                            <td>\${item.purchaseDate || 'Not specified'}</td>
-                            <td>\${item.condition}</td>
+                            <td>\${escapeHtml(item.itemName)}</td>
+                            <td>\${escapeHtml(item.category)}</td>
+                            <td>\${escapeHtml(item.project)}</td>
+                            <td>\${escapeHtml(item.purchaseDate || 'Not specified')}</td>
+                            <td>\${escapeHtml(item.condition || 'Not recognized')}</td>
+                            <td>\${item.quantity}</td>
                             <td><span class="confidence \${confidenceClass}">\${item.confidence}%</span></td>
                         </tr>
                     \`;
@@ -514,13 +674,526 @@ app.get('/', (req, res) => {
                 document.getElementById('results').style.display = 'block';
             }
 
+            function renderMappingEditor(result) {
+                const fields = result.processingInfo.mappableFields;
+                let html = '';
+
+                result.processingInfo.tables.forEach((table, position) => {
+                    const columnFields = {};
+                    Object.entries(table.fieldMappings).forEach(([field, column]) => {
+                        columnFields[column] = field;
+                    });
+
+                    const label = table.sheetName ? 'Sheet ' + table.sheetName : 'Table ' + (table.tableIndex + 1);
+                    const sourceLabel = table.mappingSource === 'profile' ? 'Profile: ' + table.profileName :
+                                        table.mappingSource === 'manual' ? 'Edited manually' : 'Detected automatically';
+
+                    html += \`
+                        <div class="mapping-block">
+                            <strong>\${escapeHtml(label)}</strong>
+                            <span class="mapping-source">\${escapeHtml(sourceLabel)} · \${table.rowCount} rows</span>
+                            <table class="mapping-table">
+                                <tr>\${table.headers.map(header => \`<th>\${escapeHtml(header || '(blank)')}</th>\`).join('')}</tr>
+                                <tr>\${table.headers.map((header, column) => \`
+                                    <td>
+                                        <select data-table="\${position}" data-column="\${column}">
+                                            <option value="">— ignore —</option>
+                                            \${fields.map(field => \`<option value="\${field}" \${columnFields[column] === field ? 'selected' : ''}>\${field}</option>\`).join('')}
+                                        </select>
+                                    </td>
+                                \`).join('')}</tr>
+                            </table>
+                            <input type="text" id="profileName\${position}" placeholder="Profile name (e.g. supplier)" value="\${escapeHtml(table.profileName || '')}">
+                            <button class="btn btn-small" onclick="saveMappingProfile(\${position})">💾 Save as Profile</button>
+                        </div>
+                    \`;
+                });
+
+                if (result.processingInfo.tables.length > 0) {
+                    html += '<button class="btn btn-small" onclick="applyMapping()">🔁 Re-apply Mapping</button>';
+                }
+                document.getElementById('mappingEditor').innerHTML = html;
+            }
+
+            function collectMappings(position) {
+                const mappings = {};
+                document.querySelectorAll(\`select[data-table="\${position}"]\`).forEach(select => {
+                    if (select.value) mappings[select.value] = Number(select.dataset.column);
+                });
+                return mappings;
+            }
+
+            async function applyMapping() {
+                const mappings = currentResult.processingInfo.tables.map((table, position) => collectMappings(position));
+
+                const response = await fetch(\`/extractions/\${currentResult.extractionId}/remap\`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ mappings })
+                });
+                const result = await response.json();
+
+                if (result.success) {
+                    displayResults(result);
+                } else {
+                    displayError(result);
+                }
+            }
+
+            async function saveImport() {
+                document.getElementById('saveImportBtn').disabled = true;
+
+                const response = await fetch('/imports', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        extractionId: currentResult.extractionId,
+                        includeDuplicates: document.getElementById('includeDuplicatesInput').checked,
+                        corrections: collectCorrections()
+                    })
+                });
+                const result = await response.json();
+                const applied = result.success && result.import.stats.applied;
+
+                document.getElementById('importStatus').textContent = result.success ?
+                    \`✅ Import \${result.import.id}: \${applied.created} new, \${applied.updated} updated, \${applied.skipped} skipped\` :
+                    \`❌ \${result.error}: \${result.details}\`;
+                if (!result.success && !result.importId) {
+                    document.getElementById('saveImportBtn').disabled = false;
+                }
+            }
+
+            const SITE_CHECK_GROUPS = [
+                ['found', '✅ Found'],
+                ['relocated', '🔀 Found here, stored at another project'],
+                ['missing', '❓ Missing'],
+                ['checkedOut', '👷 Checked out - not expected on site'],
+                ['unknown', '🆕 Not in the inventory']
+            ];
+
+            // The file against what the store expects at its project;
+            // apply records the relocated items as transfers to the site
+            async function checkSite(apply) {
+                const response = await fetch(\`/extractions/\${currentResult.extractionId}/site-check\`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ apply })
+                });
+                const result = await response.json();
+                const container = document.getElementById('siteCheckResult');
+                if (!response.ok) {
+                    container.innerHTML = \`<p>❌ \${escapeHtml(result.error)}: \${escapeHtml(result.details)}</p>\`;
+                    return;
+                }
+
+                const check = result.siteCheck;
+                container.innerHTML = \`
+                    <p>Site: <strong>\${check.sites.map(escapeHtml).join(', ')}</strong>
+                    \${result.applied ? \` - ✅ \${result.applied.transferred} item(s) recorded as transferred here\` : ''}</p>
+                    \${SITE_CHECK_GROUPS.filter(([key]) => check[key].length > 0).map(([key, label]) => \`
+                        <h4>\${label} (\${check[key].length})</h4>
+                        <table class="summary-table" style="margin-top: 10px;">
+                            <thead><tr><th>Item</th><th>Asset</th><th>Stored at</th><th>Custodian</th><th>Qty</th></tr></thead>
+                            <tbody>
+                                \${check[key].map(entry => \`
+                                    <tr class="\${entry.quantityListed !== undefined && entry.quantityListed !== entry.quantity ? 'needs-review' : ''}">
+                                        <td>\${escapeHtml(entry.itemName)}</td>
+                                        <td>\${escapeHtml(entry.assetId || '')}</td>
+                                        <td>\${escapeHtml(entry.project || '')}\${entry.location ? \` / \${escapeHtml(entry.location)}\` : ''}</td>
+                                        <td>\${escapeHtml(entry.custodian || '')}</td>
+                                        <td>\${entry.quantityListed !== undefined && entry.quantityListed !== entry.quantity
+                                            ? \`\${entry.quantityListed} listed, \${entry.quantity} expected\`
+                                            : entry.quantity}</td>
+                                    </tr>
+                                \`).join('')}
+                            </tbody>
+                        </table>
+                    \`).join('')}
+                    \${check.relocated.length > 0 && !result.applied
+                        ? '<p><button class="btn" onclick="checkSite(true)">🔀 Record Relocated Items as Transfers</button></p>'
+                        : ''}
+                \`;
+            }
+
+            const MOVEMENT_LABELS = {
+                registered: 'Registered',
+                check_out: 'Checked out',
+                transfer: 'Transferred',
+                return: 'Returned'
+            };
+
+            // "Where is everything", per project
+            async function loadLocations() {
+                const project = document.getElementById('locationProjectInput').value.trim();
+                const response = await fetch('/locations' + (project ? '?project=' + encodeURIComponent(project) : ''));
+                const { projects } = await response.json();
+
+                document.getElementById('locationReport').innerHTML = projects.length === 0
+                    ? '<p style="color: #666;">No items stored for this project</p>'
+                    : projects.map(group => \`
+                        <h4>\${escapeHtml(group.project)}
+                            <span style="color: #666; font-weight: normal;">- \${group.items} item(s), quantity \${group.quantity}, \${group.checkedOut} checked out</span>
+                        </h4>
+                        <p style="color: #666;">
+                            \${group.locations.map(entry => \`\${escapeHtml(entry.location)}: \${entry.quantity}\`).join(' · ')}
+                            \${group.custodians.length > 0 ? ' | ' + group.custodians.map(entry => \`👷 \${escapeHtml(entry.custodian)}: \${entry.items}\`).join(' · ') : ''}
+                        </p>
+                        <table class="review-grid">
+                            <thead><tr><th>Asset</th><th>Item</th><th>Qty</th><th>Location</th><th>Custodian</th><th>Condition</th><th></th></tr></thead>
+                            <tbody>
+                                \${group.assets.map(asset => \`
+                                    <tr>
+                                        <td>\${escapeHtml(asset.assetId || '')}</td>
+                                        <td>\${escapeHtml(asset.itemName)}</td>
+                                        <td>\${asset.quantity}</td>
+                                        <td>\${escapeHtml(asset.location || '')}</td>
+                                        <td>\${escapeHtml(asset.custodian || '')}</td>
+                                        <td>\${escapeHtml(asset.condition || '')}</td>
+                                        <td style="white-space: nowrap;">
+                                            \${asset.custodian
+                                                ? \`<button class="btn btn-small" onclick="moveAsset('\${asset.id}', 'return')">↩️ Return</button>\`
+                                                : \`<button class="btn btn-small" onclick="moveAsset('\${asset.id}', 'check-out')">👷 Check Out</button>\`}
+                                            <button class="btn btn-small" onclick="moveAsset('\${asset.id}', 'transfer')">🚚 Transfer</button>
+                                            <button class="btn btn-small" onclick="showMovements('\${asset.id}')">🕑 History</button>
+                                        </td>
+                                    </tr>
+                                \`).join('')}
+                            </tbody>
+                        </table>
+                    \`).join('');
+            }
+
+            // Check out, transfer or return one asset, asking for the details
+            async function moveAsset(id, action) {
+                const body = {};
+                if (action === 'check-out') {
+                    body.custodian = prompt('Worker taking it:');
+                    if (!body.custodian) return;
+                    const location = prompt('Where it will be used (optional):');
+                    if (location) body.location = location;
+                } else if (action === 'transfer') {
+                    body.project = prompt('Project it moves to:');
+                    if (!body.project) return;
+                    const location = prompt('Location there (optional):');
+                    if (location) body.location = location;
+                } else {
+                    const condition = prompt('Condition on return (optional):');
+                    if (condition) body.condition = condition;
+                    const location = prompt('Put back at (optional):');
+                    if (location) body.location = location;
+                }
+                const note = prompt('Note (optional):');
+                if (note) body.note = note;
+
+                const response = await fetch(\`/items/\${id}/\${action}\`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+                const result = await response.json();
+                if (!response.ok) {
+                    alert(\`\${result.error}\${result.details ? ': ' + result.details : ''}\${result.solution ? ' - ' + result.solution : ''}\`);
+                    return;
+                }
+                await loadLocations();
+                await showMovements(id);
+            }
+
+            async function showMovements(id) {
+                const response = await fetch(\`/items/\${id}/movements\`);
+                const { item, movements } = await response.json();
+                document.getElementById('movementHistory').innerHTML = \`
+                    <h4>🕑 \${escapeHtml(item.itemName)} \${item.assetId ? \`(\${escapeHtml(item.assetId)})\` : ''}</h4>
+                    <ul>
+                        \${movements.map(movement => \`
+                            <li>
+                                \${new Date(movement.createdAt).toLocaleString()} - <strong>\${MOVEMENT_LABELS[movement.action] || movement.action}</strong>
+                                \${movement.fromProject && movement.fromProject !== movement.toProject ? \`\${escapeHtml(movement.fromProject)} → \` : ''}\${escapeHtml(movement.toProject || '')}
+                                \${movement.toLocation ? \` / \${escapeHtml(movement.toLocation)}\` : ''}
+                                \${movement.custodian ? \` · 👷 \${escapeHtml(movement.custodian)}\` : ''}
+                                \${movement.note ? \` · <span style="color: #666;">\${escapeHtml(movement.note)}</span>\` : ''}
+                            </li>
+                        \`).join('')}
+                    </ul>
+                \`;
+            }
+
+            // Suggestions for the project field
+            fetch('/projects').then(response => response.json()).then(({ projects }) => {
+                document.getElementById('knownProjects').innerHTML = projects
+                    .map(project => \`<option value="\${escapeHtml(project.name)}">\`)
+                    .join('');
+            });
+
+            // Label sheet layouts, the configured default first selected
+            fetch('/label-layouts').then(response => response.json()).then(({ defaultLayout, layouts }) => {
+                document.getElementById('labelLayoutInput').innerHTML = layouts
+                    .map(layout => \`<option value="\${escapeHtml(layout.name)}" \${layout.name === defaultLayout ? 'selected' : ''}>\${escapeHtml(layout.description)}</option>\`)
+                    .join('');
+            });
+
+            // Backends that can be picked for an upload
+            fetch('/extractors').then(response => response.json()).then(({ extractors }) => {
+                document.getElementById('extractorInput').innerHTML = '<option value="">Auto</option>' +
+                    extractors.filter(extractor => extractor.configured)
+                        .map(extractor => \`<option value="\${extractor.name}">\${escapeHtml(extractor.description)}</option>\`)
+                        .join('');
+            });
+
+            // Review grid state: edits[itemId][field], excluded ids, merges
+            let corrections = { edits: {}, excluded: new Set(), merges: [] };
+            let categoryOptions = [];
+
+            async function resetCorrections() {
+                corrections = { edits: {}, excluded: new Set(), merges: [] };
+                const company = currentResult.processingInfo.company || '';
+                const response = await fetch('/categories?company=' + encodeURIComponent(company));
+                categoryOptions = (await response.json()).categories;
+                renderReviewGrid();
+            }
+
+            function currentValue(item, field) {
+                const edits = corrections.edits[item.id] || {};
+                return field in edits ? edits[field] : item[field];
+            }
+
+            function mergedInto(itemId) {
+                const merge = corrections.merges.find(m => m.from.includes(itemId));
+                return merge ? merge.into : null;
+            }
+
+            function renderReviewGrid() {
+                const rows = currentResult.extractedItems.map(item => {
+                    const issues = item.validationIssues || [];
+                    const issueFields = issues.map(issue => issue.field);
+                    const target = mergedInto(item.id);
+                    const excluded = corrections.excluded.has(item.id);
+                    const category = currentValue(item, 'category');
+                    const subcategories = (categoryOptions.find(c => c.name === category) || { subcategories: [] }).subcategories;
+                    const condition = currentValue(item, 'condition');
+                    const conditions = currentResult.processingInfo.conditions.includes(condition) ?
+                        currentResult.processingInfo.conditions : [condition, ...currentResult.processingInfo.conditions];
+                    const rowClass = target ? 'merged' : excluded ? 'excluded' :
+                        (item.confidence < 70 || issues.length > 0) ? 'needs-review' : '';
+                    const doubtful = doubtfulFields(item);
+                    const cellClass = field => issueFields.includes(field) ? 'cell-issue' :
+                        doubtful.includes(field) ? 'cell-doubtful' : '';
+                    const disabled = target || excluded ? 'disabled' : '';
+
+                    return \`
+                        <tr class="\${rowClass}">
+                            <td><input type="checkbox" \${excluded ? '' : 'checked'} \${target ? 'disabled' : ''}
+                                onchange="toggleExcluded('\${item.id}', !this.checked)"></td>
+                            <td>\${target ? \`into \${target}\` : \`<input type="checkbox" class="merge-select" value="\${item.id}" \${disabled}>\`}</td>
+                            <td class="\${cellClass('itemName')}"><input value="\${escapeHtml(currentValue(item, 'itemName'))}" \${disabled}
+                                onchange="editCell('\${item.id}', 'itemName', this.value)"></td>
+                            \${['brand', 'model', 'serialNumber'].map(field => \`<td class="\${cellClass(field)}"><input value="\${escapeHtml(currentValue(item, field) || '')}" \${disabled}
+                                onchange="editCell('\${item.id}', '\${field}', this.value)"></td>\`).join('')}
+                            <td class="\${cellClass('category')}"><select \${disabled} onchange="editCell('\${item.id}', 'category', this.value)">
+                                \${categoryOptions.map(c => \`<option \${c.name === category ? 'selected' : ''}>\${escapeHtml(c.name)}</option>\`).join('')}
+                            </select></td>
+                            <td class="\${cellClass('subcategory')}"><select \${disabled} onchange="editCell('\${item.id}', 'subcategory', this.value)">
+                                <option value="">—</option>
+                                \${subcategories.map(name => \`<option \${name === currentValue(item, 'subcategory') ? 'selected' : ''}>\${escapeHtml(name)}</option>\`).join('')}
+                            </select></td>
+                            <td class="\${cellClass('condition')}"><select \${disabled} onchange="editCell('\${item.id}', 'condition', this.value)">
+                                \${conditions.map(name => \`<option \${name === condition ? 'selected' : ''}>\${escapeHtml(name)}</option>\`).join('')}
+                            </select></td>
+                            <td class="\${cellClass('purchaseDate')}"><input type="date" value="\${escapeHtml(currentValue(item, 'purchaseDate') || '')}" \${disabled}
+                                onchange="editCell('\${item.id}', 'purchaseDate', this.value)"></td>
+                            <td class="\${cellClass('quantity')}"><input type="number" min="0" step="any" value="\${currentValue(item, 'quantity') ?? ''}" \${disabled}
+                                onchange="editCell('\${item.id}', 'quantity', this.value)"></td>
+                            <td class="\${cellClass('unitPrice')}"><input type="number" min="0" step="any" value="\${currentValue(item, 'unitPrice') ?? ''}" \${disabled}
+                                onchange="editCell('\${item.id}', 'unitPrice', this.value)"></td>
+                            <td title="\${escapeHtml(describeConfidence(item))}">\${item.confidence}%</td>
+                            <td title="\${escapeHtml(issues.map(issue => issue.message).join('\\n'))}">\${issues.length > 0 ? (issues.some(issue => issue.severity === 'error') ? '⛔ ' : '⚠️ ') + issues.length : ''}</td>
+                        </tr>
+                    \`;
+                });
+
+                document.getElementById('reviewGridBody').innerHTML = rows.join('');
+                const editCount = Object.values(corrections.edits).reduce((sum, fields) => sum + Object.keys(fields).length, 0);
+                document.getElementById('correctionStatus').textContent =
+                    \`\${editCount} edit(s), \${corrections.merges.length} merge(s), \${corrections.excluded.size} excluded\`;
+            }
+
+            function editCell(itemId, field, value) {
+                const item = currentResult.extractedItems.find(i => i.id === itemId);
+                const edits = corrections.edits[itemId] || {};
+                if ((item[field] ?? '').toString() === value) {
+                    delete edits[field];
+                } else {
+                    edits[field] = value;
+                }
+                // A new category resets a subcategory that doesn't belong to it
+                if (field === 'category') {
+                    const subcategories = (categoryOptions.find(c => c.name === value) || { subcategories: [] }).subcategories;
+                    if (!subcategories.includes(currentValue(item, 'subcategory'))) edits.subcategory = '';
+                }
+                corrections.edits[itemId] = edits;
+                renderReviewGrid();
+            }
+
+            function toggleExcluded(itemId, excluded) {
+                if (excluded) corrections.excluded.add(itemId);
+                else corrections.excluded.delete(itemId);
+                renderReviewGrid();
+            }
+
+            // Rows are merged into the first selected row
+            function mergeSelected() {
+                const selected = [...document.querySelectorAll('.merge-select:checked')].map(input => input.value);
+                if (selected.length < 2) {
+                    alert('Select at least two rows to merge');
+                    return;
+                }
+                corrections.merges.push({ into: selected[0], from: selected.slice(1) });
+                renderReviewGrid();
+            }
+
+            function collectCorrections() {
+                return {
+                    edits: Object.entries(corrections.edits).flatMap(([id, fields]) =>
+                        Object.entries(fields).map(([field, value]) => ({ id, field, value }))),
+                    merges: corrections.merges,
+                    excluded: [...corrections.excluded]
+                };
+            }
+
+            // Fields scoring below 70% - the cells worth a second look
+            function doubtfulFields(item) {
+                return Object.entries(item.confidenceBreakdown || {})
+                    .filter(([, field]) => field.score < 70)
+                    .map(([name]) => name);
+            }
+
+            function describeConfidence(item) {
+                return Object.entries(item.confidenceBreakdown || {}).map(([name, field]) => {
+                    const signals = [];
+                    if (field.ocr !== null) signals.push(\`OCR \${Math.round(field.ocr * 100)}%\`);
+                    if (field.mapping < 1) signals.push(\`mapping \${Math.round(field.mapping * 100)}%\`);
+                    if (field.parse < 1) signals.push(\`parse \${Math.round(field.parse * 100)}%\`);
+                    return \`\${name} \${field.score}%\` + (signals.length > 0 ? \` (\${signals.join(', ')})\` : '');
+                }).join(' · ');
+            }
+
+            function escapeHtml(value) {
+                return (value ?? '').toString()
+                    .replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            }
+
+            function exportResult(format) {
+                const groupBy = document.getElementById('exportGroupByInput').value;
+                window.location = \`/extractions/\${currentResult.extractionId}/export?format=\${format}&groupBy=\${groupBy}\`;
+            }
+
+            // Rows excluded in the review grid get no label
+            function printLabels() {
+                const layout = document.getElementById('labelLayoutInput').value;
+                const start = document.getElementById('labelStartInput').value || 1;
+                const ids = corrections.excluded.size > 0
+                    ? '&ids=' + currentResult.extractedItems.filter(item => !corrections.excluded.has(item.id)).map(item => item.id).join(',')
+                    : '';
+                window.location = \`/extractions/\${currentResult.extractionId}/labels?layout=\${encodeURIComponent(layout)}&start=\${start}\${ids}\`;
+            }
+
+            async function saveMappingProfile(position) {
+                const name = document.getElementById('profileName' + position).value.trim();
+                if (!name) {
+                    alert('Enter a profile name first');
+                    return;
+                }
+
+                const response = await fetch('/mapping-profiles', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        name,
+                        headers: currentResult.processingInfo.tables[position].headers,
+                        mappings: collectMappings(position)
+                    })
+                });
+                const result = await response.json();
+                alert(result.success ? \`Profile "\${name}" saved - it will be applied to files with the same headers\` : result.details);
+            }
+
+            function formatMoney(amount, currency) {
+                return amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) +
+                       (currency ? ' ' + currency : '');
+            }
+
+            function formatValue(valueByCurrency) {
+                const entries = Object.entries(valueByCurrency);
+                if (entries.length === 0) return '—';
+                return entries.map(([currency, amount]) =>
+                    formatMoney(amount, currency === 'unspecified' ? '' : currency)
+                ).join('<br>');
+            }
+
+            function explainCategory(item) {
+                const suggestion = item.categorySuggestion;
+                if (item.categorySource === 'correction') return 'corrected in review';
+                if (item.categorySource === 'classifier') {
+                    return \`learned from corrections, \${Math.round(suggestion.probability * 100)}% sure\`;
+                }
+                const unsure = suggestion && suggestion.category !== item.category
+                    ? \`; corrections suggest \${escapeHtml(suggestion.category)} (\${Math.round(suggestion.probability * 100)}%)\`
+                    : '';
+                if (!item.matchedRule) return 'no rule matched - default category' + unsure;
+                return \`rule \${escapeHtml(item.matchedRule.id)}, keyword "\${escapeHtml(item.matchedRule.keyword)}", priority \${item.matchedRule.priority}\` +
+                       (item.matchedRule.company ? \` (\${escapeHtml(item.matchedRule.company)} override)\` : '') + unsure;
+            }
+
+            const MATCH_LABELS = {
+                new: 'New',
+                unchanged: 'Unchanged',
+                updated: 'Updated',
+                possible_duplicate: 'Possible duplicate'
+            };
+
+            function describeMatch(item) {
+                const match = item.match;
+                if (match.status === 'possible_duplicate') {
+                    return \`<p style="color: #721c24; font-size: 13px;">Same serial number or name as \${match.duplicateOf} in this file - skipped unless duplicates are saved</p>\`;
+                }
+                if (match.status === 'updated') {
+                    const changes = match.diff.map(change => \`\${change.field}: \${escapeHtml(change.from ?? '—')} → \${escapeHtml(change.to ?? '—')}\`);
+                    return \`<p style="color: #856404; font-size: 13px;">Already in inventory (matched on \${match.matchedOn}), changes: \${changes.join('; ')}</p>\`;
+                }
+                if (match.status === 'unchanged') {
+                    return \`<p style="color: #666; font-size: 13px;">Already in inventory (matched on \${match.matchedOn}) - will be skipped</p>\`;
+                }
+                return '';
+            }
+
+            const PROJECT_SOURCES = {
+                column: 'project column',
+                document: 'document text',
+                upload: 'entered on upload',
+                filename: 'filename'
+            };
+
+            function describeProjectSource(item) {
+                const source = 'from ' + (PROJECT_SOURCES[item.projectSource] || 'filename');
+                return item.projectMatchedFrom ? \`\${source}, matched "\${escapeHtml(item.projectMatchedFrom)}"\` : source;
+            }
+
+            function formatSource(item) {
+                const parts = [];
+                if (item.sourceFile) parts.push(escapeHtml(item.sourceFile));
+                if (item.sheetName) parts.push('Sheet ' + escapeHtml(item.sheetName));
+                if (item.sourcePage) parts.push('Page ' + item.sourcePage);
+                parts.push('Table ' + (item.tableIndex + 1));
+                return parts.join(', ');
+            }
+
             function displayError(result) {
                 document.getElementById('results').innerHTML = \`
                     <div style="background: #f8d7da; border: 1px solid #f5c6cb; color: #721c24; padding: 20px; border-radius: 8px;">
                         <h3>❌ Processing Error</h3>
-                        <p><strong>Error:</strong> \${result.error}</p>
-                        <p><strong>Details:</strong> \${result.details}</p>
-                        \${result.solution ? \`<p><strong>Solution:</strong> \${result.solution}</p>\` : ''}
+                        <p><strong>Error:</strong> \${escapeHtml(result.error)}</p>
+                        <p><strong>Details:</strong> \${escapeHtml(result.details)}</p>
+                        \${result.solution ? \`<p><strong>Solution:</strong> \${escapeHtml(result.solution)}</p>\` : ''}
                     </div>
                 \`;
                 document.getElementById('results').style.display = 'block';
@@ -531,159 +1204,734 @@ app.get('/', (req, res) => {
   `);
 });
 
-// Main processing endpoint
-app.post('/extract-inventory', upload.single('file'), async (req, res) => {
+// Main processing endpoint - answers once the file is fully processed.
+// Large scans should go through POST /jobs instead
+app.post('/extract-inventory', upload.any(), async (req, res) => {
+  try {
+    const uploads = readUploads(req, res);
+    if (!uploads) return;
+
+    console.log(`📄 Processing: ${uploads.name} (${uploads.files.length} file(s))`);
+
+    const options = readUploadOptions(req);
+    if (uploads.files.length === 1 && !await pickExtractor(res, uploads.files[0], options.extractor)) return;
+
+    res.json(await runExtraction(uploads, options));
+
+  } catch (error) {
+    console.error('❌ Processing error:', error);
+    res.status(500).json({
+      error: 'Processing failed',
+      details: error.message,
+      solution: 'Try converting to PDF or check file format'
+    });
+  }
+});
+
+// Background processing: answers 202 with a job id straight away. Progress
+// is at GET /jobs/:id or streamed from GET /jobs/:id/events
+app.post('/jobs', upload.any(), async (req, res) => {
+  const uploads = readUploads(req, res);
+  if (!uploads) return;
+
+  const options = readUploadOptions(req);
+  if (uploads.files.length === 1 && !await pickExtractor(res, uploads.files[0], options.extractor)) return;
+
+  const job = createJob({
+    filename: uploads.name,
+    run: report => runExtraction(uploads, options, report)
+  });
+
+  console.log(`📥 Queued job ${job.id}: ${uploads.name} (${uploads.files.length} file(s))`);
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    stage: job.stage,
+    statusUrl: `/jobs/${job.id}`,
+    eventsUrl: `/jobs/${job.id}/events`
+  });
+});
+
+app.get('/jobs', (req, res) => {
+  res.json({ jobs: listJobs() });
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found', details: 'Finished jobs are kept for a limited time' });
+  }
+  res.json({ job: summarizeJob(job), ...(job.result && { result: job.result }) });
+});
+
+// Server-sent events: one "stage" event per change, closed when the job ends
+app.get('/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = current => {
+    res.write(`event: stage\ndata: ${JSON.stringify(summarizeJob(current))}\n\n`);
+    if (isFinished(current)) {
+      unsubscribe();
+      res.end();
+    }
+  };
+  const unsubscribe = subscribe(job.id, send);
+  req.on('close', unsubscribe);
+  send(job);
+});
+
+// Re-apply column mappings to a recent extraction without re-running Azure.
+// Body: { mappings: [ { itemName: 0, brand: 2, ... } | null, ... ] } aligned
+// with processingInfo.tables; null keeps that table's current mapping
+app.post('/extractions/:id/remap', (req, res) => {
+  const extraction = extractions.get(req.params.id);
+  if (!extraction) {
+    return res.status(404).json({
+      error: 'Extraction not found',
+      details: 'Recent extractions are kept in memory only',
+      solution: 'Upload the file again'
+    });
+  }
+
+  const overrides = Array.isArray(req.body.mappings) ? req.body.mappings : [];
+  extraction.mappings = extraction.mappings.map((current, position) => {
+    const override = overrides[position];
+    if (!override) return current;
+    return {
+      fieldMappings: sanitizeMappings(override, extraction.tables[position].headers.length),
+      mappingSource: 'manual'
+    };
+  });
+
+  console.log(`🧭 Re-mapped extraction ${extraction.id}`);
+  res.json(buildExtractionResponse(extraction));
+});
+
+// Download a recent extraction: ?format=csv|xlsx|json&groupBy=project|category
+app.get('/extractions/:id/export', (req, res) => {
+  const extraction = extractions.get(req.params.id);
+  if (!extraction) {
+    return res.status(404).json({
+      error: 'Extraction not found',
+      details: 'Recent extractions are kept in memory only',
+      solution: 'Upload the file again'
+    });
+  }
+
+  const { extractedItems } = buildExtractionResponse(extraction);
+  sendExport(res, extractedItems, req.query, extraction.filename.replace(/\.[^.]+$/, ''));
+});
+
+// Asset tag labels for a recent extraction (?ids= picks rows)
+app.get('/extractions/:id/labels', async (req, res) => {
+  const extraction = extractions.get(req.params.id);
+  if (!extraction) {
+    return res.status(404).json({
+      error: 'Extraction not found',
+      details: 'Recent extractions are kept in memory only',
+      solution: 'Upload the file again'
+    });
+  }
+
+  const { extractedItems } = buildExtractionResponse(extraction);
+  const ids = req.query.ids ? new Set(req.query.ids.split(',')) : null;
+  const items = ids ? extractedItems.filter(item => ids.has(item.id)) : extractedItems;
+  await sendLabels(res, items, req.query, extraction.filename.replace(/\.[^.]+$/, ''));
+});
+
+// Check a re-uploaded site inventory against the store: which expected items
+// were found, which turned up from another project, which are missing.
+// apply: true records the relocated items as transfers to the site
+app.post('/extractions/:id/site-check', async (req, res) => {
+  const extraction = extractions.get(req.params.id);
+  if (!extraction) {
+    return res.status(404).json({
+      error: 'Extraction not found',
+      details: 'Recent extractions are kept in memory only',
+      solution: 'Upload the file again'
+    });
+  }
+
+  try {
+    const { project, apply = false } = req.body || {};
+    const site = cleanText(project) ? resolveRowProject(cleanText(project), null, loadKnownProjects(listProjects())).name : undefined;
+    const { extractedItems } = buildExtractionResponse(extraction);
+    const siteCheck = checkSiteInventory(extractedItems, listAllItems(), { project: site });
+
+    let transferred = 0;
+    if (apply === true) {
+      for (const entry of siteCheck.relocated) {
+        const stored = getItem(entry.id);
+        await moveItem(entry.id, {
+          action: 'transfer',
+          project: entry.site,
+          location: null,
+          custodian: stored.custodian || null,
+          condition: stored.condition,
+          note: `Found in site inventory ${extraction.filename}`
+        });
+        transferred++;
+      }
+    }
+
+    const { counts } = siteCheck;
+    console.log(`📍 Site check ${extraction.filename}: ${counts.found} found, ${counts.relocated} relocated, ${counts.missing} missing, ${counts.unknown} unknown`);
+    res.json({ siteCheck, applied: apply === true ? { transferred } : null });
+  } catch (error) {
+    console.error('❌ Site check error:', error);
+    res.status(500).json({ error: 'Site check failed', details: error.message });
+  }
+});
+
+// Saved mapping profiles - applied automatically when an upload's header
+// row matches the profile's headers
+app.get('/mapping-profiles', async (req, res) => {
+  try {
+    res.json({ profiles: await listProfiles() });
+  } catch (error) {
+    console.error('❌ Profile error:', error);
+    res.status(500).json({ error: 'Could not load mapping profiles', details: error.message });
+  }
+});
+
+app.post('/mapping-profiles', async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const profile = await saveProfile(req.body || {});
+    console.log(`💾 Saved mapping profile "${profile.name}"`);
+    res.json({ success: true, profile });
+  } catch (error) {
+    res.status(400).json({ error: 'Could not save mapping profile', details: error.message });
+  }
+});
+
+app.delete('/mapping-profiles/:name', async (req, res) => {
+  try {
+    const deleted = await deleteProfile(req.params.name);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Profile error:', error);
+    res.status(500).json({ error: 'Could not delete mapping profile', details: error.message });
+  }
+});
+
+// Commit a reviewed extraction to the inventory store as one import
+app.post('/imports', async (req, res) => {
+  try {
+    const extraction = extractions.get((req.body || {}).extractionId);
+    if (!extraction) {
+      return res.status(404).json({
+        error: 'Extraction not found',
+        details: 'Recent extractions are kept in memory only',
+        solution: 'Upload the file again'
+      });
+    }
+    if (extraction.importId) {
+      return res.status(409).json({
+        error: 'Extraction already imported',
+        details: `Saved as import ${extraction.importId}`,
+        importId: extraction.importId
+      });
     }
 
-    console.log(`📄 Processing: ${req.file.originalname} (${req.file.size} bytes)`);
+    const { includeDuplicates = false, corrections } = req.body;
+    const result = buildExtractionResponse(extraction);
 
-    // Check if Excel file (not supported directly)
-    if (req.file.originalname.match(/\.(xlsx|xls)$/i)) {
+    // Corrections from the review grid; reconcile again since edits can
+    // change whether an item differs from what's stored
+    let reviewed;
+    try {
+      reviewed = applyCorrections(result.extractedItems, corrections, {
+        categories: getCategories({ company: extraction.company }),
+        conditions: getConditions()
+      });
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid corrections', details: error.message });
+    }
+    const validated = validateItems(reviewed.items, validationContext(extraction));
+    const reconciliation = reconcileItems(
+      validated.items,
+      findItemsByFingerprint(validated.items.map(item => item.fingerprint))
+    );
+    if (countCorrections(reviewed.log) > 0) {
+      console.log(`✏️ Applied ${countCorrections(reviewed.log)} correction(s) to ${extraction.filename}`);
+    }
+
+    // Only items that would be written can block the import
+    const validation = summarizeIssues(reconciliation.items.filter(item =>
+      item.match.status === 'new' || item.match.status === 'updated' ||
+      (item.match.status === 'possible_duplicate' && includeDuplicates === true)
+    ));
+    if (blocksImport(validation)) {
       return res.status(400).json({
-        error: 'Excel format requires conversion',
-        details: 'Please convert Excel to PDF for best results',
-        solution: 'Open Excel → File → Save As → PDF'
+        error: 'Import blocked by validation errors',
+        details: `${validation.errors} error(s) on ${validation.itemsWithErrors} item(s)`,
+        solution: 'Fix or exclude the flagged rows in the review grid',
+        validation
       });
     }
 
-    // Process with Azure
-    const poller = await client.beginAnalyzeDocument("prebuilt-layout", req.file.buffer);
-    console.log('⏳ Analyzing with Azure AI...');
-    const result = await poller.pollUntilDone();
-    console.log('✅ Analysis complete!');
-
-    // Extract project name from filename
-    const projectName = req.file.originalname
-      .replace(/\.(pdf|csv|png|jpg|jpeg)$/i, '')
-      .replace(/[-_]/g, ' ')
-      .toUpperCase();
-
-    const tables = result.tables || [];
-    const extractedItems = [];
-    let totalConfidence = 0;
-
-    if (tables.length > 0) {
-      console.log(`📊 Found ${tables.length} table(s)`);
-      
-      const mainTable = tables[0]; // Process first/largest table
-      const tableData = processAzureTable(mainTable);
-      
-      if (tableData.headers.length > 0 && tableData.rows.length > 0) {
-        const fieldMappings = detectFieldMappings(tableData.headers);
-        console.log('🔍 Field mappings:', fieldMappings);
-        
-        tableData.rows.forEach((row, index) => {
-          if (row.some(cell => cell.trim())) {
-            const itemName = getFieldValue(row, fieldMappings.itemName) || `Item ${index + 1}`;
-            const confidence = calculateItemConfidence(row, fieldMappings);
-            totalConfidence += confidence;
-            
-            // Map to YOUR webapp fields
-            const item = {
-              id: `azure_${index}`,
-              project: projectName,
-              itemName: itemName.trim(),
-              category: categorizeItem(itemName),
-              condition: getFieldValue(row, fieldMappings.condition) || 'Good',
-              purchaseDate: formatPurchaseDate(getFieldValue(row, fieldMappings.purchaseDate)),
-              description: buildDescription(row, fieldMappings, tableData.headers),
-              confidence: confidence,
-              validationIssues: validateItem(row, fieldMappings),
-              source: 'azure_ai'
-            };
-            
-            extractedItems.push(item);
-          }
+    const record = await createImport({
+      filename: extraction.filename,
+      projectName: extraction.projectName,
+      service: extraction.service,
+      mappings: result.processingInfo.tables.map(table => ({
+        headers: table.headers,
+        fieldMappings: table.fieldMappings,
+        mappingSource: table.mappingSource,
+        ...(table.profileName && { profileName: table.profileName })
+      })),
+      stats: {
+        ...buildSummary(reconciliation.items),
+        confidenceScore: result.processingInfo.confidenceScore,
+        tablesProcessed: result.processingInfo.tablesProcessed,
+        reconciliation: reconciliation.counts,
+        validation
+      },
+      items: reconciliation.items,
+      edits: { ...reviewed.log, editedAt: new Date().toISOString() },
+      includeDuplicates: includeDuplicates === true
+    });
+    extraction.importId = record.id;
+    await learnFromCorrections(categoryCorrections(reviewed.log, reviewed.items));
+
+    const { applied } = record.stats;
+    console.log(`🗄️ Imported ${record.filename}: ${applied.created} new, ${applied.updated} updated, ${applied.skipped} skipped`);
+    res.json({ success: true, import: record });
+  } catch (error) {
+    console.error('❌ Import error:', error);
+    res.status(500).json({ error: 'Import failed', details: error.message });
+  }
+});
+
+app.get('/imports', (req, res) => {
+  res.json({ imports: listImports() });
+});
+
+app.get('/imports/:id', (req, res) => {
+  const record = getImport(req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: 'Import not found' });
+  }
+  res.json({ import: record, items: listItems({ importId: record.id, limit: 1000 }).items });
+});
+
+// Undo an entire import - items it created are deleted, items it updated
+// are restored, the record is kept
+app.post('/imports/:id/rollback', async (req, res) => {
+  try {
+    const existing = getImport(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    // Items checked out, transferred or re-imported since keep their history
+    // and their later values
+    const keepMoved = (req.body || {}).keepMoved === true;
+    const moved = existing.status === 'rolled_back' ? [] : listMovedItems(existing.id);
+    if (moved.length > 0 && !keepMoved) {
+      return res.status(409).json({
+        error: 'Items were moved or re-imported since the import',
+        details: `${moved.length} item(s) from this import were checked out, transferred or changed by a later import since it was saved`,
+        solution: 'Send { "keepMoved": true } to roll back the rest and keep these items with their history',
+        items: moved
+      });
+    }
+
+    const record = await rollbackImport(existing.id, { keepMoved });
+    console.log(`↩️ Rolled back import ${record.id}${moved.length > 0 ? `, kept ${moved.length} moved item(s)` : ''}`);
+    res.json({ success: true, import: record, ...(moved.length > 0 && { kept: moved }) });
+  } catch (error) {
+    console.error('❌ Rollback error:', error);
+    res.status(500).json({ error: 'Rollback failed', details: error.message });
+  }
+});
+
+// Stored inventory: ?project=&category=&condition=&importId=&q=&limit=&offset=
+app.get('/items', (req, res) => {
+  res.json(listItems(req.query));
+});
+
+// Same filters as /items plus ?format=csv|xlsx|json&groupBy=project|category
+app.get('/items/export', (req, res) => {
+  const { items } = listItems({ ...req.query, limit: req.query.limit || 1000 });
+  sendExport(res, items, req.query, 'inventory');
+});
+
+app.get('/items/labels', async (req, res) => {
+  const { items } = listItems({ ...req.query, limit: req.query.limit || 1000 });
+  await sendLabels(res, items, req.query, 'inventory');
+});
+
+app.get('/items/:id', (req, res) => {
+  const item = getItem(req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: 'Item not found' });
+  }
+  res.json({ item });
+});
+
+app.patch('/items/:id', async (req, res) => {
+  try {
+    const before = getItem(req.params.id);
+    if (!before) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    let changes;
+    try {
+      changes = cleanItemChanges(before, req.body || {}, { categories: getCategories(), conditions: getConditions() });
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid change', details: error.message });
+    }
+
+    // A new project is a transfer, so it shows in the item's movement history
+    const { project, ...rest } = changes;
+    if (project !== undefined) {
+      const resolved = resolveRowProject(project, null, loadKnownProjects(listProjects())).name;
+      if (resolved !== before.project) {
+        await moveItem(before.id, {
+          action: 'transfer',
+          project: resolved,
+          location: before.location || null,
+          custodian: before.custodian || null,
+          condition: before.condition,
+          note: 'Project edited'
         });
       }
     }
 
-    const avgConfidence = extractedItems.length > 0 ? Math.round(totalConfidence / extractedItems.length) : 0;
-
-    res.json({
-      success: true,
-      extractedItems,
-      totalItems: extractedItems.length,
-      projectName,
-      processingInfo: {
-        service: 'Azure Document Intelligence',
-        tablesDetected: tables.length,
-        confidenceScore: avgConfidence,
-        targetFields: Object.keys(TARGET_FIELDS),
-        fieldMappingSuccess: extractedItems.length > 0
-      }
-    });
+    const item = await updateItem(before.id, rest);
+    if (item.category !== before.category) {
+      // A subcategory left over from the old category isn't part of the fix
+      const subcategory = req.body.subcategory !== undefined ? item.subcategory : null;
+      await learnFromCorrections([{ item, category: item.category, subcategory, from: before.category }]);
+    }
+    res.json({ success: true, item });
+  } catch (error) {
+    console.error('❌ Item update error:', error);
+    res.status(500).json({ error: 'Update failed', details: error.message });
+  }
+});
 
+app.delete('/items/:id', async (req, res) => {
+  try {
+    const deleted = await deleteItem(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    res.json({ success: true });
   } catch (error) {
-    console.error('❌ Processing error:', error);
-    res.status(500).json({
-      error: 'Processing failed',
-      details: error.message,
-      solution: 'Try converting to PDF or check file format'
-    });
+    console.error('❌ Item delete error:', error);
+    res.status(500).json({ error: 'Delete failed', details: error.message });
+  }
+});
+
+// Equipment custody: check out to a worker, transfer between projects or
+// locations, and return. Each movement is kept in the item's history
+app.post('/items/:id/check-out', (req, res) => handleMovement(req, res, 'check_out'));
+app.post('/items/:id/transfer', (req, res) => handleMovement(req, res, 'transfer'));
+app.post('/items/:id/return', (req, res) => handleMovement(req, res, 'return'));
+
+app.get('/items/:id/movements', (req, res) => {
+  const item = getItem(req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: 'Item not found' });
   }
+  res.json({ item, movements: listMovements({ itemId: item.id, limit: req.query.limit }) });
+});
+
+// Movements into or out of a project (?project=), newest first
+app.get('/movements', (req, res) => {
+  res.json({ movements: listMovements({ project: req.query.project, limit: req.query.limit }) });
+});
+
+// "Where is everything": stored items per project with their locations and
+// custodians (?project= for one)
+app.get('/locations', (req, res) => {
+  res.json(locationReport(listAllItems(), { project: req.query.project }));
 });
 
 // Helper functions
-function processAzureTable(table) {
-  const cellMap = {};
-  table.cells.forEach(cell => {
-    cellMap[`${cell.rowIndex}-${cell.columnIndex}`] = cell.content || '';
+
+// What a check-out, transfer or return changes, checked against the item's
+// current custody before anything is written
+async function handleMovement(req, res, action) {
+  try {
+    const item = getItem(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const { custodian, project, location, condition, note } = req.body || {};
+    const next = {
+      project: item.project,
+      location: item.location || null,
+      custodian: item.custodian || null,
+      condition: item.condition
+    };
+    if (cleanText(project)) next.project = resolveRowProject(cleanText(project), null, loadKnownProjects(listProjects())).name;
+    if (location !== undefined) next.location = cleanText(location);
+
+    if (action === 'check_out') {
+      if (!cleanText(custodian)) {
+        return res.status(400).json({ error: 'Custodian is required', solution: 'Name the worker taking the equipment' });
+      }
+      if (item.custodian) {
+        return res.status(409).json({
+          error: 'Already checked out',
+          details: `${item.itemName} is checked out to ${item.custodian}`,
+          solution: 'Return it first, or transfer it with a new custodian'
+        });
+      }
+      next.custodian = cleanText(custodian);
+    } else if (action === 'transfer') {
+      if (!cleanText(project) && location === undefined) {
+        return res.status(400).json({ error: 'Destination is required', solution: 'Send the project and/or location it moves to' });
+      }
+      if (custodian !== undefined) next.custodian = cleanText(custodian);
+    } else {
+      if (!item.custodian) {
+        return res.status(409).json({ error: 'Not checked out', details: `${item.itemName} has no custodian to return it` });
+      }
+      next.custodian = null;
+      if (cleanText(condition)) {
+        const normalized = normalizeCondition(condition);
+        if (!normalized.condition) {
+          return res.status(400).json({
+            error: 'Unknown condition',
+            details: `"${condition}" is not recognized`,
+            solution: `Use one of: ${getConditions().join(', ')}`
+          });
+        }
+        next.condition = normalized.condition;
+      }
+    }
+
+    const moved = await moveItem(item.id, { action, ...next, note: cleanText(note) });
+    console.log(`🚚 ${action} ${moved.itemName}: ${moved.project}${moved.location ? ` / ${moved.location}` : ''}${moved.custodian ? ` (${moved.custodian})` : ''}`);
+    res.json({ success: true, item: moved });
+  } catch (error) {
+    console.error('❌ Movement error:', error);
+    res.status(500).json({ error: 'Movement failed', details: error.message });
+  }
+}
+
+function cleanText(value) {
+  return (value ?? '').toString().trim() || null;
+}
+
+// Category fixes made in the review grid, as classifier training examples.
+// Items merged away or excluded teach nothing
+function categoryCorrections(log, items) {
+  const byId = new Map(items.map(item => [item.id, item]));
+  const corrected = new Map();
+  log.edits.forEach(edit => {
+    if ((edit.field !== 'category' && edit.field !== 'subcategory') || !byId.has(edit.id)) return;
+    const item = byId.get(edit.id);
+    const previous = corrected.get(edit.id);
+    corrected.set(edit.id, {
+      item,
+      category: item.category,
+      subcategory: item.subcategory,
+      from: previous ? previous.from : (edit.field === 'category' ? edit.from : item.category)
+    });
   });
-  
-  const maxRow = Math.max(...table.cells.map(c => c.rowIndex));
-  const maxCol = Math.max(...table.cells.map(c => c.columnIndex));
-  
-  const headers = [];
-  for (let col = 0; col <= maxCol; col++) {
-    headers.push(cellMap[`0-${col}`] || '');
+  return [...corrected.values()];
+}
+
+// A classifier that can't save must not fail the import or edit that taught it
+async function learnFromCorrections(corrections) {
+  if (corrections.length === 0) return;
+  try {
+    await learnCorrections(corrections);
+  } catch (error) {
+    console.warn('⚠️ Could not save classifier corrections:', error.message);
   }
-  
-  const rows = [];
-  for (let row = 1; row <= maxRow; row++) {
-    const rowData = [];
-    for (let col = 0; col <= maxCol; col++) {
-      rowData.push(cellMap[`${row}-${col}`] || '');
-    }
-    rows.push(rowData);
+}
+
+// Every uploaded file (any field name, so `file` and `files` both work),
+// with .zip archives unpacked. Answers 400 and returns null when there is
+// nothing to process
+function readUploads(req, res) {
+  const uploaded = req.files || [];
+  let files;
+  try {
+    files = expandArchives(uploaded.map(file => ({ buffer: file.buffer, filename: file.originalname })));
+  } catch (error) {
+    res.status(400).json({ error: 'Could not read archive', details: error.message });
+    return null;
   }
-  
-  return { headers, rows };
+
+  if (files.length === 0) {
+    res.status(400).json({ error: 'No file uploaded' });
+    return null;
+  }
+  return { files, name: uploaded.length === 1 ? uploaded[0].originalname : `${files.length} files` };
 }
 
-function calculateItemConfidence(row, mappings) {
-  let score = 0;
-  if (getFieldValue(row, mappings.itemName)) score += 50;
-  if (getFieldValue(row, mappings.brand)) score += 15;
-  if (getFieldValue(row, mappings.model)) score += 15;
-  if (getFieldValue(row, mappings.purchaseDate)) score += 10;
-  if (getFieldValue(row, mappings.specifications)) score += 10;
-  return Math.min(score, 100);
+// Upload form fields shared by /extract-inventory and /jobs
+function readUploadOptions(req) {
+  const body = req.body || {};
+  return {
+    project: (body.project || '').trim() || null,
+    company: (body.company || '').trim() || null,
+    dateLocale: (body.dateLocale || '').trim() || DATE_LOCALE,
+    quantityMode: ['field', 'explode'].includes(body.quantityMode) ? body.quantityMode : QUANTITY_MODE,
+    // Form field or ?extractor=, else EXTRACTOR, else auto
+    extractor: body.extractor || req.query.extractor || DEFAULT_EXTRACTOR
+  };
 }
 
-function validateItem(row, mappings) {
-  const issues = [];
-  if (!getFieldValue(row, mappings.itemName)) {
-    issues.push({
-      field: 'itemName',
-      message: 'Item name is required',
-      severity: 'error'
+// Checks a single upload has a backend that can read it up front; answers
+// 400 and returns null when none can. Batches record failures per file
+async function pickExtractor(res, file, requested) {
+  try {
+    return await selectExtractor(file, requested);
+  } catch (error) {
+    res.status(400).json({
+      error: 'No extractor available',
+      details: error.message,
+      solution: 'Configure Azure, choose the fixture extractor to replay a recording of this file, or upload a spreadsheet/CSV'
+    });
+    return null;
+  }
+}
+
+// Extract an upload and cache it so its mappings can be re-applied
+async function runExtraction(uploads, options, report) {
+  const extraction = await extractFiles(uploads, options, report);
+  cacheExtraction(extraction);
+  return buildExtractionResponse(extraction);
+}
+
+function sendExport(res, items, { format = 'xlsx', groupBy = 'project' }, basename) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    return res.status(400).json({
+      error: 'Unsupported export format',
+      details: `Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+    });
+  }
+  if (!['project', 'category'].includes(groupBy)) {
+    return res.status(400).json({ error: 'Unsupported grouping', details: 'Use project or category' });
+  }
+
+  const body = format === 'csv' ? toCsv(items, TARGET_FIELDS) :
+    format === 'xlsx' ? toXlsx(items, TARGET_FIELDS, { groupBy }) :
+    JSON.stringify(toJsonPayload(items, TARGET_FIELDS), null, 2);
+
+  console.log(`📤 Exported ${items.length} item(s) as ${format}`);
+  res.setHeader('Content-Type', exportFormat.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${basename.replace(/[^\w.-]+/g, '_')}.${exportFormat.extension}"`);
+  res.send(body);
+}
+
+// Label sheets as a PDF download. layout, start (first free label on the
+// sheet) and perUnit=false (one label per row whatever its quantity) come
+// from the query or body
+async function sendLabels(res, items, { layout, start, perUnit }, basename) {
+  let pdf;
+  let labels;
+  try {
+    labels = buildLabels(items, { perUnit: perUnit !== false && perUnit !== 'false' });
+    pdf = await toLabelsPdf(labels, { layout, startPosition: start === undefined ? 1 : Number(start) });
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Could not create labels',
+      details: error.message,
+      solution: 'Choose a layout from /label-layouts and a start position on the sheet'
     });
   }
-  return issues;
+
+  console.log(`🔖 Created ${labels.length} label(s) for ${items.length} item(s)`);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${basename.replace(/[^\w.-]+/g, '_')}-labels.pdf"`);
+  res.send(pdf);
+}
+
+// Recent extractions, kept in memory so mappings can be re-applied
+const extractions = new Map();
+const MAX_CACHED_EXTRACTIONS = 50;
+
+function cacheExtraction(extraction) {
+  extractions.set(extraction.id, extraction);
+  while (extractions.size > MAX_CACHED_EXTRACTIONS) {
+    extractions.delete(extractions.keys().next().value);
+  }
 }
 
+// Projects uploads are matched against: config/projects.json and the store
+app.get('/projects', (req, res) => {
+  res.json({ projects: loadKnownProjects(listProjects()) });
+});
+
+// Extraction backends and whether each is configured
+app.get('/extractors', async (req, res) => {
+  res.json({ default: DEFAULT_EXTRACTOR, extractors: await listExtractors() });
+});
+
+// Category taxonomy, with any company overrides applied
+app.get('/categories', (req, res) => {
+  res.json({ categories: getCategories({ company: req.query.company }) });
+});
+
+// Label sheet layouts for asset tags
+app.get('/label-layouts', (req, res) => {
+  res.json(getLabelLayouts());
+});
+
+// Asset tag labels for items posted as JSON - for example the
+// extractedItems of an /extract-inventory response
+app.post('/labels', async (req, res) => {
+  const { items, ...options } = req.body || {};
+  if (!Array.isArray(items)) {
+    return res.status(400).json({ error: 'No items', details: 'Send { items: [...], layout, start }' });
+  }
+  await sendLabels(res, items, options, 'assets');
+});
+
+// Category classifier learned from corrections: what it knows, the full
+// model as a download, and a reset back to the keyword rules alone
+app.get('/classifier', (req, res) => {
+  res.json(describeClassifier());
+});
+
+app.get('/classifier/export', (req, res) => {
+  res.setHeader('Content-Disposition', 'attachment; filename="category-model.json"');
+  res.json(exportClassifier());
+});
+
+app.delete('/classifier', async (req, res) => {
+  try {
+    await resetClassifier();
+    res.json({ success: true, classifier: describeClassifier() });
+  } catch (error) {
+    console.error('❌ Classifier reset error:', error);
+    res.status(500).json({ error: 'Reset failed', details: error.message });
+  }
+});
+
 // Test endpoint
 app.get('/test-azure', async (req, res) => {
   res.json({
     status: 'Ready',
     endpoint: AZURE_ENDPOINT ? '✅ Configured' : '❌ Missing',
     apiKey: AZURE_KEY ? '✅ Configured' : '❌ Missing',
+    extractors: await listExtractors(),
     targetFields: TARGET_FIELDS,
-    supportedFormats: ['PDF', 'CSV', 'PNG', 'JPG']
+    supportedFormats: ['PDF', 'CSV', 'TSV', 'XLSX', 'XLS', 'PNG', 'JPG']
   });
 });
 
@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import AdmZip from 'adm-zip';
+import { expandArchives } from '../lib/archive.js';
+
+function zipOf(entries) {
+  const zip = new AdmZip();
+  Object.entries(entries).forEach(([name, content]) => zip.addFile(name, Buffer.isBuffer(content) ? content : Buffer.from(content)));
+  return zip.toBuffer();
+}
+
+test('unpacks nested archives and skips hidden files and macOS metadata', () => {
+  const inner = zipOf({ 'taller.csv': 'Nombre\nSierra\n' });
+  const files = expandArchives([
+    { buffer: zipOf({ 'obra/inventario.csv': 'Nombre\nTaladro\n', 'obra/.DS_Store': 'x', '__MACOSX/obra/._inventario.csv': 'x', 'mas.zip': inner }), filename: 'obras.zip' },
+    { buffer: Buffer.from('Nombre\nCasco\n'), filename: 'suelto.csv' }
+  ]);
+
+  assert.deepEqual(files.map(file => [file.filename, file.archive]).sort(), [
+    ['obra/inventario.csv', 'obras.zip'],
+    ['suelto.csv', undefined],
+    ['taller.csv', 'mas.zip']
+  ]);
+  assert.equal(files.find(file => file.filename === 'obra/inventario.csv').buffer.toString(), 'Nombre\nTaladro\n');
+});
+
+test('the unpacked size and file count are limited', () => {
+  const archive = { buffer: zipOf({ 'a.csv': 'x'.repeat(400), 'b.csv': 'x'.repeat(400), 'c.csv': 'x'.repeat(400) }), filename: 'obras.zip' };
+
+  assert.equal(expandArchives([archive], { maxBytes: 1200 }).length, 3);
+  assert.throws(() => expandArchives([archive], { maxBytes: 1000 }), /obras\.zip is too large/);
+  assert.throws(() => expandArchives([archive], { maxFiles: 2 }), /at most 2 files/);
+});
+
+test('an entry that inflates past the size in its header is refused', () => {
+  const buffer = zipOf({ 'big.csv': Buffer.alloc(5000, 'a') });
+  // Claim 10 bytes in both the local and the central directory header
+  buffer.writeUInt32LE(10, 22);
+  buffer.writeUInt32LE(10, buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+
+  assert.throws(() => expandArchives([{ buffer, filename: 'bomba.zip' }], { maxBytes: 1000 }));
+});
@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { tablesFromAnalyzeResult } from '../lib/azure-layout.js';
+
+// An Azure layout table on one page; the first `headerRows` rows are marked
+// as column headers
+function azureTable(rows, page, headerRows = 1) {
+  return {
+    rowCount: rows.length,
+    columnCount: rows[0].length,
+    boundingRegions: [{ pageNumber: page }],
+    cells: rows.flatMap((row, rowIndex) => row.map((content, columnIndex) => ({
+      ...(rowIndex < headerRows && { kind: 'columnHeader' }),
+      rowIndex,
+      columnIndex,
+      content,
+      boundingRegions: [{ pageNumber: page }]
+    })))
+  };
+}
+
+test('a table that repeats its header on the next page is stitched into one', () => {
+  const { tables, tablesDetected } = tablesFromAnalyzeResult({
+    tables: [
+      azureTable([['Descripción', 'Cantidad'], ['Taladro', '3'], ['Casco', '25']], 1),
+      azureTable([['Descripción', 'Cantidad'], ['Generador', '1']], 2)
+    ]
+  });
+
+  assert.equal(tablesDetected, 2);
+  assert.equal(tables.length, 1);
+  assert.deepEqual(tables[0].headers, ['Descripción', 'Cantidad']);
+  assert.deepEqual(tables[0].rows, [['Taladro', '3'], ['Casco', '25'], ['Generador', '1']]);
+  assert.deepEqual(tables[0].rowOrigins.map(origin => origin.page), [1, 1, 2]);
+  assert.deepEqual(tables[0].continuedFrom, [1]);
+});
+
+test('a continuation without header cells keeps every row as data', () => {
+  const { tables } = tablesFromAnalyzeResult({
+    tables: [
+      azureTable([['Descripción', 'Cantidad'], ['Taladro', '3']], 1),
+      azureTable([['Amoladora', '2'], ['Nivel láser', '1']], 2, 0)
+    ]
+  });
+
+  assert.equal(tables.length, 1);
+  assert.deepEqual(tables[0].rows, [['Taladro', '3'], ['Amoladora', '2'], ['Nivel láser', '1']]);
+});
+
+test('tables on non-consecutive pages or with other columns stay apart', () => {
+  const { tables } = tablesFromAnalyzeResult({
+    tables: [
+      azureTable([['Descripción', 'Cantidad'], ['Taladro', '3']], 1),
+      azureTable([['Descripción', 'Cantidad'], ['Casco', '25']], 3),
+      azureTable([['Proveedor', 'Teléfono', 'Ciudad'], ['Acme', '900 000 000', 'Madrid']], 4)
+    ]
+  });
+
+  assert.equal(tables.length, 3);
+  assert.deepEqual(tables.map(table => table.continuedFrom), [[], [], []]);
+});
@@ -0,0 +1,77 @@
+import test, { before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadTaxonomy, categorizeItem, getCategories } from '../lib/categories.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-test-'));
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  const configPath = path.join(dir, 'categories.yaml');
+  fs.writeFileSync(configPath, `
+defaultCategory: General Equipment
+rules:
+  - id: drills
+    category: Power Tools
+    subcategory: Drills
+    keywords: [taladro, martillo percutor]
+    priority: 60
+  - id: hand-tools
+    category: Hand Tools
+    keywords: [martillo]
+    priority: 40
+  - id: saws
+    category: Power Tools
+    subcategory: Saws
+    keywords: [sierra]
+    exclude: [sierra manual]
+    priority: 50
+  - id: hand-saws
+    category: Hand Tools
+    subcategory: Saws
+    keywords: [sierra manual, amolad*]
+    priority: 30
+companies:
+  Acme:
+    disabledRules: [hand-tools]
+    rules:
+      - id: saws
+        category: Cutting Equipment
+        keywords: [sierra]
+        priority: 50
+`);
+  loadTaxonomy(configPath);
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('the highest priority rule wins over a shorter or earlier match', () => {
+  const result = categorizeItem('Martillo percutor Bosch');
+  assert.equal(result.category, 'Power Tools');
+  assert.deepEqual(result.matchedRule, { id: 'drills', keyword: 'martillo percutor', priority: 60 });
+  assert.equal(categorizeItem('Martillos de carpintero').category, 'Hand Tools');
+});
+
+test('exclusions stop a rule from matching', () => {
+  assert.equal(categorizeItem('Sierra circular').subcategory, 'Saws');
+  assert.equal(categorizeItem('Sierra circular').category, 'Power Tools');
+  assert.equal(categorizeItem('Sierra manual de costilla').category, 'Hand Tools');
+});
+
+test('keywords match whole words without accents, with plurals and prefix wildcards', () => {
+  assert.equal(categorizeItem('TALADROS inalámbricos').category, 'Power Tools');
+  assert.equal(categorizeItem('Amoladora angular').category, 'Hand Tools');
+  assert.equal(categorizeItem('Taladrina (aceite de corte)').category, 'General Equipment');
+  assert.equal(categorizeItem('Taladrina (aceite de corte)').matchedRule, null);
+});
+
+test('a company override replaces, adds and disables rules', () => {
+  assert.equal(categorizeItem('Sierra circular', { company: 'ACME' }).category, 'Cutting Equipment');
+  assert.equal(categorizeItem('Sierra circular', { company: 'ACME' }).matchedRule.company, 'ACME');
+  assert.equal(categorizeItem('Martillo', { company: 'Acme' }).category, 'General Equipment');
+  assert.equal(categorizeItem('Martillo', { company: 'Otra' }).category, 'Hand Tools');
+  assert.deepEqual(getCategories({ company: 'Acme' }).map(category => category.name),
+    ['Cutting Equipment', 'Power Tools', 'Hand Tools', 'General Equipment']);
+});
@@ -0,0 +1,40 @@
+import test, { before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The learned model is saved under DATA_DIR
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-test-'));
+const { classifyItem, learnCorrections, resetClassifier } = await import('../lib/classifier.js');
+
+// Learning is logged; the test runner reads this process's stdout
+before(() => mock.method(console, 'log', () => {}));
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+function correct(itemName, category, times = 1) {
+  return learnCorrections(Array.from({ length: times }, () => ({ item: { itemName }, category })));
+}
+
+test('a single learned category only suggests', async () => {
+  await resetClassifier();
+  await correct('Cable alargador 25m', 'Power Equipment');
+
+  for (const itemName of ['Cable de cobre', 'Cable']) {
+    const suggestion = classifyItem({ itemName });
+    assert.equal(suggestion.category, 'Power Equipment');
+    assert.equal(suggestion.confident, false, itemName);
+  }
+});
+
+test('a category needs enough corrections to replace the rules', async () => {
+  await resetClassifier();
+  await correct('Cable alargador 25m', 'Power Equipment');
+  await correct('Casco de seguridad', 'Safety Equipment', 3);
+  assert.equal(classifyItem({ itemName: 'Cable alargador' }).confident, false);
+
+  await correct('Cable alargador 25m', 'Power Equipment', 2);
+  const suggestion = classifyItem({ itemName: 'Cable alargador' });
+  assert.equal(suggestion.category, 'Power Equipment');
+  assert.equal(suggestion.confident, true);
+});
@@ -0,0 +1,69 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-test-'));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeFile(name, content) {
+  const file = path.join(dir, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+// The CLI in its own process, with the inventory store and outputs in the
+// test's folder
+function run(...args) {
+  const result = spawnSync(process.execPath, [CLI, ...args], {
+    cwd: dir,
+    env: { ...process.env, DATA_DIR: path.join(dir, 'data') },
+    encoding: 'utf8',
+    timeout: 60000
+  });
+  return { code: result.status, output: result.stdout + result.stderr };
+}
+
+function readReport(name) {
+  return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+}
+
+test('exits 0 and writes the export and report when every item is valid', () => {
+  const input = writeFile('torre-norte.csv', 'Nombre;Cantidad;Estado\nTaladro;3;Bueno\nCasco;25;Nuevo\n');
+  const { code, output } = run(input, '--out', 'out/clean.csv');
+
+  assert.equal(code, 0, output);
+  assert.match(fs.readFileSync(path.join(dir, 'out/clean.csv'), 'utf8'), /Taladro/);
+  const report = readReport('out/clean.report.json');
+  assert.equal(report.exitCode, 0);
+  assert.equal(report.output.items, 2);
+});
+
+test('exits 1 on validation errors or a file that failed', () => {
+  const input = writeFile('negativo.csv', 'Nombre;Cantidad\nTaladro;-3\n');
+  const invalid = run(input, '--out', 'invalid.json');
+  assert.equal(invalid.code, 1, invalid.output);
+  assert.deepEqual(readReport('invalid.report.json').issues.map(issue => issue.rule), ['quantity-negative']);
+
+  writeFile('lote/inventario.csv', 'Nombre;Cantidad\nTaladro;3\n');
+  writeFile('lote/escaneo.pdf', '%PDF-1.4');
+  const partial = run(path.join(dir, 'lote'), '--extractor', 'local', '--out', 'partial.csv');
+  assert.equal(partial.code, 1, partial.output);
+  assert.deepEqual(readReport('partial.report.json').files.map(file => file.status), ['failed', 'processed']);
+});
+
+test('exits 2 on bad arguments or when nothing could be processed', () => {
+  assert.equal(run().code, 2);
+  assert.equal(run(writeFile('a.csv', 'Nombre\nTaladro\n'), '--format', 'pdf').code, 2);
+  assert.equal(run(path.join(dir, 'missing.csv'), '--out', 'missing.csv').code, 2);
+
+  const scan = run(writeFile('escaneo.pdf', '%PDF-1.4'), '--extractor', 'local', '--out', 'scan.csv');
+  assert.equal(scan.code, 2, scan.output);
+  assert.match(readReport('scan.report.json').error, /local extractor cannot read escaneo\.pdf/);
+});
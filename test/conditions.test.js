@@ -0,0 +1,65 @@
+import test, { before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConditions, getConditions, normalizeCondition } from '../lib/conditions.js';
+import { loadValidationRules, validateItems } from '../lib/validation.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-test-'));
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  loadValidationRules();
+});
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeConfig(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+test('maps written conditions onto the vocabulary', () => {
+  loadConditions();
+  const conditions = ['B', 'Dañado.', 'NUEVO', 'no funciona', 'bueno, con marcas de uso', 'Extraviada'].map(value => normalizeCondition(value));
+
+  assert.deepEqual(conditions.map(({ condition, match }) => [condition, match]), [
+    ['Good', 'exact'], ['Poor', 'exact'], ['New', 'exact'], ['Out of Service', 'exact'], ['Good', 'synonym'], ['Lost', 'exact']
+  ]);
+  // "no funciona" wins over the shorter "funciona" inside longer text too
+  assert.equal(normalizeCondition('equipo no funciona desde marzo').condition, 'Out of Service');
+  // A single letter only counts on its own
+  assert.deepEqual(normalizeCondition('estado b'), { condition: null, raw: 'estado b', match: 'none' });
+});
+
+test('an empty cell gets the default condition', () => {
+  loadConditions();
+  assert.deepEqual(normalizeCondition(''), { condition: 'Good', raw: null, match: 'default' });
+  assert.deepEqual(normalizeCondition(null), { condition: 'Good', raw: null, match: 'default' });
+
+  loadConditions(writeConfig('no-default.yaml', 'defaultCondition: null\nconditions:\n  - name: Operativo\n    synonyms: [ok]\n'));
+  assert.deepEqual(getConditions(), ['Operativo']);
+  assert.equal(normalizeCondition('').condition, null);
+  assert.equal(normalizeCondition('OK').condition, 'Operativo');
+});
+
+test('a condition that maps to nothing is flagged, not guessed', () => {
+  loadConditions();
+  const { condition, raw } = normalizeCondition('para revisar');
+  assert.equal(condition, null);
+
+  const { items: [item] } = validateItems([{ id: 'csv_0', itemName: 'Taladro', project: 'Torre Norte', condition, conditionRaw: raw }], { conditions: getConditions() });
+  assert.deepEqual(item.validationIssues, [{
+    field: 'condition',
+    message: 'Condition "para revisar" is not recognized - use one of: New, Good, Fair, Poor, Out of Service, Lost',
+    severity: 'warning',
+    rule: 'unrecognized-condition'
+  }]);
+});
+
+test('a default that is not one of the conditions is refused', () => {
+  const file = writeConfig('bad-default.json', JSON.stringify({ defaultCondition: 'Nuevo', conditions: [{ name: 'New' }] }));
+  assert.throws(() => loadConditions(file), /Default condition "Nuevo" is not one of the conditions/);
+  assert.throws(() => loadConditions(writeConfig('unnamed.json', JSON.stringify({ conditions: [{ synonyms: ['x'] }] }))), /Condition 1 has no name/);
+});
@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildWordIndex, spanConfidence, fieldConfidence, combineConfidence } from '../lib/confidence.js';
+
+// "Taladro Bosch 3" read over two pages, the words listed out of order
+const pages = [
+  { words: [{ content: '3', span: { offset: 14, length: 1 }, confidence: 0.99 }] },
+  {
+    words: [
+      { content: 'Bosch', span: { offset: 8, length: 5 }, confidence: 0.7 },
+      { content: 'Taladro', span: { offset: 0, length: 7 }, confidence: 0.9 },
+      { content: 'sin', span: { offset: 20, length: 3 } }
+    ]
+  }
+];
+
+test('a cell gets the mean confidence of the words inside its spans', () => {
+  const index = buildWordIndex(pages);
+  assert.deepEqual(index.map(word => word.offset), [0, 8, 14]);
+
+  assert.equal(spanConfidence(index, [{ offset: 0, length: 13 }]), 0.8);
+  assert.equal(spanConfidence(index, [{ offset: 0, length: 7 }, { offset: 14, length: 1 }]), 0.945);
+  // A word cut by the span doesn't count, and neither does an empty cell
+  assert.equal(spanConfidence(index, [{ offset: 0, length: 5 }]), null);
+  assert.equal(spanConfidence(index, []), null);
+  assert.equal(spanConfidence([], [{ offset: 0, length: 13 }]), null);
+});
+
+test('a field multiplies its OCR, mapping and parsing signals', () => {
+  assert.deepEqual(fieldConfidence({ ocr: 0.8, mapping: 0.9 }), { score: 72, ocr: 0.8, mapping: 0.9, parse: 1 });
+  assert.equal(fieldConfidence({ ocr: 0.8, mapping: 0.9, parse: 0.5 }).score, 36);
+  // Text from a file rather than a scan is exact
+  assert.equal(fieldConfidence({}).score, 100);
+});
+
+test('the item name weighs most in the item confidence', () => {
+  assert.equal(combineConfidence({ itemName: { score: 60 }, supplier: { score: 100 } }), 66);
+  assert.equal(combineConfidence({ itemName: { score: 100 }, supplier: { score: 60 } }), 94);
+  assert.equal(combineConfidence({ location: { score: 50 }, brand: { score: 100 } }), 75);
+  assert.equal(combineConfidence({}), 0);
+});
@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { detectDateOrder, resolveDateOrder, normalizeDate, orderForLocale } from '../lib/dates.js';
+
+test('a column with a first part over 12 is day-first, a second part over 12 month-first', () => {
+  assert.equal(detectDateOrder(['03/04/2021', '25/12/2020', '']), 'DMY');
+  assert.equal(detectDateOrder(['03/04/2021', '12/25/2020']), 'MDY');
+  assert.equal(detectDateOrder(['03/04/2021', '05.06.21']), null);
+  assert.equal(detectDateOrder(['25/12/2020', '12/25/2020']), null);
+});
+
+test('an explicit locale wins over the column, and an undecided column is day-first', () => {
+  assert.deepEqual(resolveDateOrder(['12/25/2020'], 'es'), { order: 'DMY', inferred: false });
+  assert.deepEqual(resolveDateOrder(['25/12/2020'], 'auto'), { order: 'DMY', inferred: true });
+  assert.deepEqual(resolveDateOrder(['12/25/2020'], 'auto'), { order: 'MDY', inferred: true });
+  assert.deepEqual(resolveDateOrder(['03/04/2021'], 'auto'), { order: 'DMY', inferred: false, ambiguous: true });
+  assert.equal(orderForLocale('en-US'), 'MDY');
+  assert.equal(orderForLocale('mdy'), 'MDY');
+});
+
+test('day and month are read in the column order, flagged when ambiguous', () => {
+  assert.deepEqual(normalizeDate('03/04/2021', { order: 'DMY' }), { date: '2021-04-03' });
+  assert.deepEqual(normalizeDate('03/04/2021', { order: 'MDY' }), { date: '2021-03-04' });
+  assert.deepEqual(normalizeDate('25/12/2020', { order: 'MDY' }), { date: '2020-12-25' });
+  assert.deepEqual(normalizeDate('03/04/2021', { order: 'DMY', ambiguous: true }),
+    { date: '2021-04-03', warning: 'Ambiguous date "03/04/2021" read as DD/MM' });
+});
+
+test('spelled-out months, Excel serials and partial dates', () => {
+  assert.equal(normalizeDate('15 de marzo de 2021').date, '2021-03-15');
+  assert.equal(normalizeDate('March 15, 2021').date, '2021-03-15');
+  assert.equal(normalizeDate('44500').date, '2021-10-31');
+  assert.equal(normalizeDate('2021-03-15T10:00:00Z').date, '2021-03-15');
+  assert.deepEqual(normalizeDate('marzo de 2021'), { date: '2021-03-01', warning: 'Only month and year given in "marzo de 2021" - day set to 1' });
+  assert.deepEqual(normalizeDate('2019'), { date: '2019-01-01', warning: 'Only a year was found in "2019" - date set to January 1' });
+});
+
+test('dates that are not on the calendar are rejected', () => {
+  assert.deepEqual(normalizeDate('31/02/2021'), { date: null, warning: 'Invalid calendar date "31/02/2021"' });
+  assert.deepEqual(normalizeDate('2023-02-30'), { date: null, warning: 'Invalid calendar date "2023-02-30"' });
+  assert.equal(normalizeDate('pendiente').date, null);
+});
@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDelimited } from '../lib/delimited.js';
+import { parseMoney } from '../lib/numbers.js';
+
+// "Nombre;Precio\nCasco “XL”;1.234,56 €" as Excel saves it on Windows
+const WINDOWS_1252_CSV = Buffer.from([
+  ...Buffer.from('Nombre;Precio\nCasco ', 'latin1'), 0x93, ...Buffer.from('XL', 'latin1'), 0x94,
+  ...Buffer.from(';1.234,56 ', 'latin1'), 0x80, 0x0A
+]);
+
+test('decodes Windows-1252 bytes 0x80-0x9F, not Latin-1 control characters', () => {
+  const { encoding, tables } = parseDelimited(WINDOWS_1252_CSV);
+
+  assert.equal(encoding, 'windows-1252');
+  assert.deepEqual(tables[0].rows, [['Casco “XL”', '1.234,56 €']]);
+  assert.deepEqual(parseMoney(tables[0].rows[0][1], ','), { amount: 1234.56, currency: 'EUR' });
+});
+
+test('reads UTF-8 with and without a byte-order mark', () => {
+  const csv = 'Nombre;Precio\nCasco;12,50 €\n';
+  const withBom = Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from(csv)]);
+
+  for (const buffer of [Buffer.from(csv), withBom]) {
+    const { encoding, delimiter, tables } = parseDelimited(buffer);
+    assert.equal(encoding, 'utf-8');
+    assert.equal(delimiter, ';');
+    assert.deepEqual(tables[0].headers, ['Nombre', 'Precio']);
+    assert.deepEqual(tables[0].rows, [['Casco', '12,50 €']]);
+  }
+});
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import XLSX from 'xlsx';
+import { toCsv, toXlsx, toJsonPayload } from '../lib/export.js';
+import { TARGET_FIELDS } from '../lib/pipeline.js';
+
+const helmets = {
+  project: 'Torre Norte', itemName: 'Casco', category: 'Safety Equipment', subcategory: 'Head Protection',
+  assetId: 'AST-PXJDC8E2', quantity: 25, unitPrice: 12.5, totalValue: 312.5, currency: 'EUR', validationIssues: []
+};
+
+test('the JSON export carries quantity, pricing and asset id like CSV and XLSX', () => {
+  const payload = toJsonPayload([helmets], TARGET_FIELDS);
+  const csvHeader = toCsv([helmets], TARGET_FIELDS).replace('\uFEFF', '').split('\r\n')[0].split(',');
+
+  assert.deepEqual(Object.keys(payload.items[0]), csvHeader.filter(column => column !== 'validationIssues'));
+  assert.deepEqual(Object.keys(payload.schema), Object.keys(payload.items[0]));
+  assert.equal(payload.items[0].quantity, 25);
+  assert.equal(payload.items[0].totalValue, 312.5);
+  assert.equal(payload.items[0].currency, 'EUR');
+  assert.equal(payload.items[0].assetId, 'AST-PXJDC8E2');
+});
+
+test('text that starts like a formula is exported as plain text', () => {
+  const item = {
+    ...helmets, itemName: '=HYPERLINK("http://example.com","Casco")', description: '+34 600 000 000',
+    category: '@SUM(A1)', subcategory: '-Cabeza', quantity: -2, extraFields: { '=Nota': 'x' }
+  };
+
+  const [, row] = toCsv([item], TARGET_FIELDS).replace('\uFEFF', '').split('\r\n');
+  assert.ok(row.includes(`"'=HYPERLINK(""http://example.com"",""Casco"")"`));
+  assert.ok(row.includes("'+34 600 000 000"));
+  assert.ok(row.includes("'@SUM(A1)"));
+  assert.ok(row.includes("'-Cabeza"));
+  assert.ok(row.includes("'=Nota: x"));
+
+  const workbook = XLSX.read(toXlsx([item], TARGET_FIELDS));
+  const [sheetRow] = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]);
+  assert.equal(sheetRow.itemName, '\'=HYPERLINK("http://example.com","Casco")');
+  assert.equal(sheetRow.description, "'+34 600 000 000");
+  assert.equal(sheetRow.category, "'@SUM(A1)");
+  // Numbers stay numbers
+  assert.equal(sheetRow.quantity, -2);
+});
@@ -0,0 +1,82 @@
+import test, { before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJob, getJob, listJobs, subscribe, isFinished } from '../lib/jobs.js';
+
+// A failed job is logged with its error; keep the runner's stdout clean
+before(() => mock.method(console, 'error', () => {}));
+
+function finished(job) {
+  if (isFinished(job)) return Promise.resolve(job);
+  return new Promise(resolve => {
+    const unsubscribe = subscribe(job.id, current => {
+      if (isFinished(current)) {
+        unsubscribe();
+        resolve(current);
+      }
+    });
+  });
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+test('a job moves through its stages and keeps the result', async () => {
+  const job = createJob({
+    filename: 'inventario.pdf',
+    run: async report => {
+      report('analyzing', 'Reading inventario.pdf');
+      report('mapping', 'Mapping 12 rows');
+      return { totalItems: 12 };
+    }
+  });
+
+  const done = await finished(job);
+  assert.deepEqual(done.history.map(entry => entry.stage), ['uploaded', 'analyzing', 'mapping', 'done']);
+  assert.deepEqual(getJob(job.id).result, { totalItems: 12 });
+  assert.ok(done.finishedAt);
+
+  const listed = listJobs().find(entry => entry.id === job.id);
+  assert.equal(listed.hasResult, true);
+  assert.equal('result' in listed, false);
+});
+
+test('a failed job records the error and its details', async () => {
+  const job = createJob({
+    filename: 'roto.pdf',
+    run: async () => {
+      throw Object.assign(new Error('Azure rejected the file'), { details: 'InvalidContent' });
+    }
+  });
+
+  const failed = await finished(job);
+  assert.equal(failed.stage, 'failed');
+  assert.equal(failed.message, 'Azure rejected the file');
+  assert.deepEqual(failed.error, { message: 'Azure rejected the file', details: 'InvalidContent' });
+  assert.equal(failed.result, null);
+});
+
+test('jobs over the concurrency limit wait their turn', async () => {
+  const gates = [deferred(), deferred(), deferred()];
+  const jobs = gates.map((gate, index) => createJob({
+    filename: `obra-${index}.pdf`,
+    run: async report => {
+      report('analyzing');
+      await gate.promise;
+      return index;
+    }
+  }));
+
+  assert.deepEqual(jobs.map(job => job.stage), ['analyzing', 'analyzing', 'uploaded']);
+  gates[0].resolve();
+  await finished(jobs[0]);
+  // The freed slot is handed on once the finished job has settled
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(jobs[2].stage, 'analyzing');
+
+  gates[1].resolve();
+  gates[2].resolve();
+  assert.deepEqual((await Promise.all(jobs.map(finished))).map(job => job.result), [0, 1, 2]);
+});
@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLabels } from '../lib/labels.js';
+
+const posted = { project: 'Torre Norte', itemName: 'Taladro', brand: 'Bosch', category: 'Power Tools', quantity: 2 };
+
+test('an item posted without an asset id gets the same tags on every print', () => {
+  const first = buildLabels([posted]);
+  assert.deepEqual(buildLabels([{ ...posted }]), first);
+  assert.equal(new Set(first.map(label => label.assetId)).size, 2);
+  assert.deepEqual(first.map(label => label.unit), ['1/2', '2/2']);
+
+  // Another item gets other ids
+  const other = buildLabels([{ ...posted, itemName: 'Amoladora' }]).map(label => label.assetId);
+  assert.equal(other.some(id => first.some(label => label.assetId === id)), false);
+});
+
+test('a serial number identifies the item whatever else is sent with it', () => {
+  const [tag] = buildLabels([{ ...posted, quantity: 1, serialNumber: 'SN-1234' }]);
+  const [renamed] = buildLabels([{ ...posted, quantity: 1, itemName: 'Taladro percutor', serialNumber: 'sn 1234' }]);
+  assert.equal(renamed.assetId, tag.assetId);
+  assert.equal(tag.serialNumber, 'SN-1234');
+});
+
+test('an item with no asset id, name or serial number is refused', () => {
+  assert.throws(() => buildLabels([{ project: 'Torre Norte', quantity: 1 }]), /need an item name or serial number/);
+  assert.equal(buildLabels([{ assetId: 'AST-PXJDC8E2', quantity: 1 }])[0].assetId, 'AST-PXJDC8E2');
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { detectDecimalSeparator, parseNumber, parseMoney, detectCurrency, extractQuantityFromName } from '../lib/numbers.js';
+
+test('reads a European price with its currency', () => {
+  assert.deepEqual(parseMoney('1.234,56 €'), { amount: 1234.56, currency: 'EUR' });
+  assert.deepEqual(parseMoney('USD 99.90'), { amount: 99.9, currency: 'USD' });
+  assert.deepEqual(parseMoney(''), { amount: null, currency: null });
+});
+
+test('parses numbers written with either decimal mark', () => {
+  assert.equal(parseNumber('1,234.56'), 1234.56);
+  assert.equal(parseNumber('1 234,56'), 1234.56);
+  assert.equal(parseNumber("1'234.5"), 1234.5);
+  assert.equal(parseNumber('12,5'), 12.5);
+  assert.equal(parseNumber('25 uds'), 25);
+  assert.equal(parseNumber('(45,00)'), -45);
+  assert.equal(parseNumber(7), 7);
+  assert.equal(parseNumber('n/a'), null);
+});
+
+test('a lone separator before three digits follows the column hint', () => {
+  assert.equal(parseNumber('1.234'), 1234);
+  assert.equal(parseNumber('1.234', '.'), 1.234);
+  assert.equal(parseNumber('1,234', '.'), 1234);
+  assert.equal(parseNumber('1.234.567'), 1234567);
+});
+
+test('detects the decimal mark of a column', () => {
+  assert.equal(detectDecimalSeparator(['12,5', '1.234,56', '3']), ',');
+  assert.equal(detectDecimalSeparator(['1,234', '99.90', '5.5']), '.');
+  // Three digits after the mark could be either
+  assert.equal(detectDecimalSeparator(['1.234', '2.000']), null);
+});
+
+test('recognises currency codes and symbols', () => {
+  assert.equal(detectCurrency('MXN 1,200.00'), 'MXN');
+  assert.equal(detectCurrency('US$ 10'), 'USD');
+  assert.equal(detectCurrency('R$ 50,00'), 'BRL');
+  assert.equal(detectCurrency('S/ 20'), 'PEN');
+  assert.equal(detectCurrency('£5'), 'GBP');
+  assert.equal(detectCurrency('120'), null);
+});
+
+test('pulls a quantity out of an item name', () => {
+  assert.deepEqual(extractQuantityFromName('3 x Taladro Bosch'), { quantity: 3, name: 'Taladro Bosch' });
+  assert.deepEqual(extractQuantityFromName('Casco x25'), { quantity: 25, name: 'Casco' });
+  assert.deepEqual(extractQuantityFromName('Casco — 25 units'), { quantity: 25, name: 'Casco' });
+  assert.deepEqual(extractQuantityFromName('Guantes (10 uds)'), { quantity: 10, name: 'Guantes' });
+  assert.equal(extractQuantityFromName('Taladro Bosch GSB 18V'), null);
+});
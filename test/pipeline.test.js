@@ -0,0 +1,161 @@
+import test, { before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import AdmZip from 'adm-zip';
+
+// Saved mapping profiles, learned corrections and the inventory store all
+// live under DATA_DIR, so the replay gets an empty one of its own
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-test-'));
+
+const { loadTaxonomy } = await import('../lib/categories.js');
+const { loadConditions } = await import('../lib/conditions.js');
+const { loadValidationRules } = await import('../lib/validation.js');
+const { openStore } = await import('../lib/store.js');
+const { expandArchives } = await import('../lib/archive.js');
+const { extractFiles, buildExtractionResponse } = await import('../lib/pipeline.js');
+const { selectExtractor } = await import('../lib/extractors/index.js');
+
+const OPTIONS = { project: null, company: null, dateLocale: 'auto', quantityMode: 'field' };
+
+before(async () => {
+  // The pipeline narrates every step; the test runner reads this process's
+  // stdout, so keep it quiet
+  mock.method(console, 'log', () => {});
+  loadTaxonomy();
+  loadConditions();
+  loadValidationRules();
+  await openStore(path.join(process.env.DATA_DIR, 'inventory.sqlite'));
+});
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+async function extract(files, extractor = 'auto') {
+  const extraction = await extractFiles({ files, name: files[0].filename }, { ...OPTIONS, extractor });
+  return buildExtractionResponse(extraction);
+}
+
+// Recorded Azure results are looked up by file name, the bytes don't matter
+function recorded(filename) {
+  return { buffer: Buffer.from('%PDF-1.4'), filename };
+}
+
+function rows(result, fields) {
+  return result.extractedItems.map(item => fields.map(field => item[field]));
+}
+
+test('replays the recorded inventory table', async () => {
+  const result = await extract([recorded('sample-inventory.pdf')], 'fixture');
+
+  assert.deepEqual(result.files.map(file => [file.status, file.service, file.projectName, file.projectSource, file.totalItems]),
+    [['processed', 'Recorded Azure result', 'Torre Norte', 'document', 4]]);
+  assert.deepEqual(rows(result, ['itemName', 'brand', 'category', 'condition', 'purchaseDate', 'quantity', 'extractionMethod']), [
+    ['Taladro percutor', 'Bosch', 'Power Tools', 'Good', '2021-03-15', 3, 'table'],
+    ['Amoladora angular', 'Makita', 'Power Tools', 'Fair', '2020-11-02', 2, 'table'],
+    ['Casco de seguridad', '3M', 'Safety Equipment', 'New', '2023-01-10', 25, 'table'],
+    ['Generador', 'Honda', 'Power Equipment', 'Good', '2019-01-01', 1, 'table']
+  ]);
+  assert.equal(result.summary.totalQuantity, 31);
+  assert.equal(result.validation.errors, 0);
+  assert.equal(result.validation.canImport, true);
+  assert.equal(result.reconciliation.new, 4);
+});
+
+test('recordings are only replayed when the fixture extractor is asked for', async () => {
+  const file = recorded('sample-inventory.pdf');
+  assert.equal((await selectExtractor(file, 'fixture')).name, 'fixture');
+  const picked = await selectExtractor(file, 'auto').then(extractor => extractor.name, () => null);
+  assert.notEqual(picked, 'fixture');
+});
+
+test('replays the recorded delivery note read as text', async () => {
+  const result = await extract([recorded('albaran-entrega.pdf')], 'fixture');
+
+  assert.equal(result.files[0].projectName, 'Torre Norte');
+  assert.equal(result.files[0].tablesDetected, 0);
+  assert.deepEqual(rows(result, ['itemName', 'brand', 'category', 'quantity', 'extractionMethod']), [
+    ['Taladro', 'Bosch', 'Power Tools', 3, 'text'],
+    ['Amoladora angular', 'Makita', 'Power Tools', 2, 'text'],
+    ['Casco de seguridad', '3M', 'Safety Equipment', 25, 'text'],
+    ['Generador', 'Honda', 'Power Equipment', 1, 'text'],
+    ['Nivel láser', 'Leica', 'Measuring Tools', 1, 'text']
+  ]);
+  assert.equal(result.summary.totalQuantity, 32);
+  assert.deepEqual(result.validation.byRule, {});
+});
+
+test('reads every sheet of a workbook with two-row headers', async () => {
+  const filename = 'two-row-headers.xlsx';
+  const buffer = fs.readFileSync(new URL(`../fixtures/spreadsheets/${filename}`, import.meta.url));
+  const result = await extract([{ buffer, filename }]);
+
+  assert.deepEqual(result.files.map(file => [file.status, file.service, file.projectName, file.tablesDetected]),
+    [['processed', 'Local spreadsheet parser', 'TWO ROW HEADERS', 2]]);
+  assert.deepEqual(rows(result, ['itemName', 'brand', 'category', 'condition', 'purchaseDate', 'quantity', 'sheetName']), [
+    ['Taladro', 'Bosch', 'Power Tools', 'Good', '2021-03-15', 1, 'Obra1'],
+    ['Casco', 'MSA', 'Safety Equipment', 'Fair', '2021-10-31', 1, 'Obra1'],
+    ['Generador', null, 'Power Equipment', 'Good', null, 2, 'Obra2']
+  ]);
+  assert.equal(result.validation.errors, 0);
+});
+
+test('parses a semicolon CSV with European numbers and dates', async () => {
+  const csv = 'Nombre;Cantidad;Precio unitario;Fecha\n' +
+    'Casco;25;12,50 €;03/04/2021\n' +
+    'Taladro — 3 units;;1.234,56 €;25/12/2020\n' +
+    'Generador;;;2019\n';
+  const result = await extract([{ buffer: Buffer.from(csv), filename: 'almacen.csv' }]);
+
+  assert.equal(result.files[0].service, 'Local CSV parser');
+  assert.equal(result.files[0].projectName, 'ALMACEN');
+  assert.deepEqual(rows(result, ['itemName', 'quantity', 'unitPrice', 'currency', 'purchaseDate']), [
+    ['Casco', 25, 12.5, 'EUR', '2021-04-03'],
+    ['Taladro', 3, 1234.56, 'EUR', '2020-12-25'],
+    ['Generador', 1, null, null, '2019-01-01']
+  ]);
+  assert.deepEqual(result.summary.totalValue, { EUR: 4016.18 });
+  // A bare year is read as 1 January and flagged for review
+  assert.equal(result.validation.byRule.parsing.count, 1);
+  assert.equal(result.validation.canImport, true);
+});
+
+test('files with the same name in different folders of a ZIP stay apart', async () => {
+  const zip = new AdmZip();
+  zip.addFile('torre-norte/inventario.csv', Buffer.from('Nombre;Cantidad\nTaladro;3\nCasco;10\n'));
+  zip.addFile('torre-sur/inventario.csv', Buffer.from('Nombre;Cantidad\nGenerador;1\n'));
+  const result = await extract(expandArchives([{ buffer: zip.toBuffer(), filename: 'obras.zip' }]));
+
+  assert.deepEqual(result.files.map(file => [file.filename, file.archive, file.projectName, file.totalItems, file.totalQuantity]), [
+    ['torre-norte/inventario.csv', 'obras.zip', 'TORRE NORTE', 2, 13],
+    ['torre-sur/inventario.csv', 'obras.zip', 'TORRE SUR', 1, 1]
+  ]);
+  assert.deepEqual(rows(result, ['itemName', 'project', 'sourceFile']), [
+    ['Taladro', 'TORRE NORTE', 'torre-norte/inventario.csv'],
+    ['Casco', 'TORRE NORTE', 'torre-norte/inventario.csv'],
+    ['Generador', 'TORRE SUR', 'torre-sur/inventario.csv']
+  ]);
+});
+
+test('asset ids stay the same each time an extraction is read', async () => {
+  const csv = 'Nombre;Cantidad\nTaladro;3\nTaladro;1\n';
+  const extraction = await extractFiles({ files: [{ buffer: Buffer.from(csv), filename: 'almacen.csv' }], name: 'almacen.csv' }, { ...OPTIONS, extractor: 'auto' });
+  const first = buildExtractionResponse(extraction).extractedItems.map(item => item.assetId);
+
+  assert.deepEqual(buildExtractionResponse(extraction).extractedItems.map(item => item.assetId), first);
+  assert.equal(new Set(first).size, 2);
+});
+
+test('each table\'s column mapping is reported once', async () => {
+  const messages = [];
+  const csv = 'Nombre;Cantidad;Notas\nTaladro;3;x\n';
+  const extraction = await extractFiles({ files: [{ buffer: Buffer.from(csv), filename: 'almacen.csv' }], name: 'almacen.csv' },
+    { ...OPTIONS, extractor: 'auto' }, (stage, message) => messages.push([stage, message]));
+  buildExtractionResponse(extraction);
+  buildExtractionResponse(extraction);
+
+  assert.deepEqual(messages.filter(([stage]) => stage === 'mapping'), [
+    ['mapping', 'Mapping 1 table(s)'],
+    ['mapping', 'almacen.csv: itemName ← Nombre, quantity ← Cantidad']
+  ]);
+});
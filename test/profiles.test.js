@@ -0,0 +1,31 @@
+import test, { after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Profiles are saved under DATA_DIR
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-test-'));
+const { saveProfile, deleteProfile, listProfiles } = await import('../lib/profiles.js');
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('profiles saved and deleted at the same time are all kept', async () => {
+  const headers = ['Descripción', 'Cantidad'];
+  await Promise.all(['Acme', 'Ferretería Sur', 'Alquileres Norte', 'Obsoleto'].map(name =>
+    saveProfile({ name, headers, mappings: { itemName: 0, quantity: 1 } })
+  ));
+  const [deleted, missing] = await Promise.all([deleteProfile('Obsoleto'), deleteProfile('Nunca guardado'), saveProfile({ name: 'Acme', headers, mappings: { itemName: 0 } })]);
+
+  assert.equal(deleted, true);
+  assert.equal(missing, false);
+  const profiles = await listProfiles();
+  assert.deepEqual(profiles.map(profile => profile.name).sort(), ['Acme', 'Alquileres Norte', 'Ferretería Sur']);
+  assert.deepEqual(profiles.find(profile => profile.name === 'Acme').mappings, { itemName: 0 });
+});
+
+test('a failed save does not block the next one', async () => {
+  await assert.rejects(saveProfile({ name: ' ', headers: ['A'] }), /Profile name is required/);
+  const profile = await saveProfile({ name: 'Después', headers: ['A'], mappings: { itemName: 0 } });
+  assert.equal(profile.name, 'Después');
+});
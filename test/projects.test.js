@@ -0,0 +1,15 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { projectFromDocument } from '../lib/projects.js';
+
+function fromLine(line) {
+  return projectFromDocument({ paragraphs: [line] });
+}
+
+test('a title names the project only when the name is capitalised', () => {
+  assert.equal(fromLine('Proyecto de ampliación de la nave'), null);
+  assert.equal(fromLine('obra de reforma'), null);
+  assert.equal(fromLine('Inventario - Obra Torre Norte'), 'Torre Norte');
+  assert.equal(fromLine('OBRA Ático Sur'), 'Ático Sur');
+  assert.equal(fromLine('proyecto: nave de ampliación'), 'nave de ampliación');
+});
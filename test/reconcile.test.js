@@ -0,0 +1,20 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fingerprintItem, reconcileItems } from '../lib/reconcile.js';
+
+const withFingerprint = item => ({ ...item, fingerprint: fingerprintItem(item) });
+
+test('placeholder serial numbers are not serial keys', () => {
+  for (const serial of ['Sin serie', 'sin número', 'ninguno', 'none', 'N/A', 'S/N', '----', '??']) {
+    assert.equal(fingerprintItem({ project: 'Torre Norte', itemName: 'Casco', serialNumber: serial }).serialKey, null, serial);
+  }
+  assert.equal(fingerprintItem({ project: 'Torre Norte', itemName: 'Taladro', serialNumber: 'sn-0042/b' }).serialKey, 'SN0042B');
+});
+
+test('items sharing a placeholder serial are neither duplicates nor the same asset', () => {
+  const helmet = { id: 'csv_0', project: 'Torre Norte', itemName: 'Casco', serialNumber: 'Sin serie' };
+  const harness = { id: 'csv_1', project: 'Torre Norte', itemName: 'Arnés', serialNumber: 'Sin serie' };
+
+  const { counts } = reconcileItems([helmet, harness].map(withFingerprint), []);
+  assert.deepEqual(counts, { new: 2, unchanged: 0, updated: 0, possible_duplicate: 0 });
+});
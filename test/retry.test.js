@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { withRetry, isThrottled, retryAfterMs } from '../lib/retry.js';
+
+function throttled(retryAfter) {
+  const error = new Error('Too Many Requests');
+  error.statusCode = 429;
+  if (retryAfter !== undefined) error.response = { headers: new Map([['retry-after', retryAfter]]) };
+  return error;
+}
+
+test('a 429 is retried with a doubling delay until the call succeeds', async () => {
+  const retries = [];
+  const result = await withRetry(async attempt => {
+    if (attempt < 3) throw throttled();
+    return `done on attempt ${attempt}`;
+  }, { baseDelay: 5, onRetry: ({ attempt, delay }) => retries.push([attempt, delay]) });
+
+  assert.equal(result, 'done on attempt 3');
+  assert.deepEqual(retries, [[1, 5], [2, 10]]);
+});
+
+test('Retry-After sets the wait, within maxDelay', async () => {
+  assert.equal(retryAfterMs(throttled('2')), 2000);
+  assert.equal(retryAfterMs({ response: { headers: { 'retry-after': '0.5' } } }), 500);
+  assert.equal(retryAfterMs(throttled()), null);
+
+  const delays = [];
+  await withRetry(async attempt => {
+    if (attempt === 1) throw throttled('30');
+  }, { maxDelay: 20, onRetry: ({ delay }) => delays.push(delay) });
+  assert.deepEqual(delays, [20]);
+});
+
+test('other errors and the last failed retry are thrown', async () => {
+  let calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw new Error('Invalid request');
+  }, { baseDelay: 1 }), /Invalid request/);
+  assert.equal(calls, 1);
+
+  calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw throttled();
+  }, { retries: 2, baseDelay: 1 }), /Too Many Requests/);
+  assert.equal(calls, 3);
+
+  assert.ok(isThrottled({ code: 'TooManyRequests' }));
+  assert.ok(!isThrottled({ statusCode: 500 }));
+});
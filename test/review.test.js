@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyCorrections, cleanItemChanges } from '../lib/review.js';
+import { fingerprintItem } from '../lib/reconcile.js';
+
+const categories = [{ name: 'Power Tools', subcategories: ['Drills'] }];
+const conditions = ['Good', 'Fair'];
+
+function extracted(fields) {
+  const item = { id: 'csv_0', project: 'Torre Norte', category: 'Power Tools', condition: 'Good', quantity: 1, validationIssues: [], ...fields };
+  return { ...item, fingerprint: fingerprintItem(item), assetId: 'AST-PXJDC8E2' };
+}
+
+test('rejects purchase dates that are not on the calendar', () => {
+  for (const value of ['2023-02-30', '2023-13-01', '2023-04-31', '15/03/2021']) {
+    assert.throws(
+      () => applyCorrections([extracted({ itemName: 'Taladro' })], { edits: [{ id: 'csv_0', field: 'purchaseDate', value }] }, { categories, conditions }),
+      /Purchase date must be YYYY-MM-DD/,
+      value
+    );
+  }
+  const { items } = applyCorrections([extracted({ itemName: 'Taladro' })], { edits: [{ id: 'csv_0', field: 'purchaseDate', value: '2024-02-29' }] }, { categories, conditions });
+  assert.equal(items[0].purchaseDate, '2024-02-29');
+});
+
+test('a corrected name or project refreshes the fingerprint but keeps the asset id', () => {
+  const { items } = applyCorrections([extracted({ itemName: 'Talador' })], {
+    edits: [{ id: 'csv_0', field: 'itemName', value: 'Taladro' }, { id: 'csv_0', field: 'project', value: 'Las Palmas' }]
+  }, { categories, conditions });
+
+  const corrected = { project: 'Las Palmas', itemName: 'Taladro' };
+  assert.deepEqual(items[0].fingerprint, fingerprintItem(corrected));
+  assert.equal(items[0].assetId, 'AST-PXJDC8E2');
+});
+
+test('brand, model and serial number can be corrected before and after importing', () => {
+  const { items, log } = applyCorrections([extracted({ itemName: 'Taladro', brand: 'Bosh', serialNumber: 'SN-12' })], {
+    edits: [{ id: 'csv_0', field: 'brand', value: ' Bosch ' }, { id: 'csv_0', field: 'serialNumber', value: 'SN-1234' }, { id: 'csv_0', field: 'model', value: '' }]
+  }, { categories, conditions });
+
+  assert.deepEqual(log.edits.map(edit => [edit.field, edit.from, edit.to]), [['brand', 'Bosh', 'Bosch'], ['serialNumber', 'SN-12', 'SN-1234']]);
+  assert.equal(items[0].fingerprint.serialKey, 'SN1234');
+
+  const stored = { ...extracted({ itemName: 'Taladro', supplier: 'Ferretería Sur' }), id: 'c0ffee' };
+  assert.deepEqual(cleanItemChanges(stored, { supplier: '', specifications: '18 V, 2 baterías', model: 'GSB 18V' }, { categories, conditions }), {
+    model: 'GSB 18V', supplier: null, specifications: '18 V, 2 baterías'
+  });
+});
@@ -0,0 +1,26 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { parseWorkbook } from '../lib/spreadsheet.js';
+
+// Two sheets: "Obra1" with a header split over two rows ("Datos" above
+// "Herramienta" and "Marca"), "Obra2" with a plain one-row header
+for (const extension of ['xlsx', 'xls']) {
+  test(`reads every sheet of a .${extension} workbook and joins two-row headers`, () => {
+    const tables = parseWorkbook(fs.readFileSync(new URL(`../fixtures/spreadsheets/two-row-headers.${extension}`, import.meta.url)));
+
+    assert.deepEqual(tables.map(table => table.sheetName), ['Obra1', 'Obra2']);
+
+    const [obra1, obra2] = tables;
+    assert.equal(obra1.headerRowCount, 2);
+    assert.deepEqual(obra1.headers, ['Datos Herramienta', 'Datos Marca', 'Fecha Compra', 'Estado', '']);
+    assert.deepEqual(obra1.rows, [
+      ['Taladro', 'Bosch', '2021-03-15', 'Bueno', '3'],
+      ['Casco', 'MSA', '44500', 'Regular', '']
+    ]);
+
+    assert.equal(obra2.headerRowCount, 1);
+    assert.deepEqual(obra2.headers, ['Nombre', 'Cantidad']);
+    assert.deepEqual(obra2.rows, [['Generador', '2']]);
+  });
+}
@@ -0,0 +1,131 @@
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openStore, createImport, findItemsByFingerprint, getItem, listItems, listMovedItems, listMovements, moveItem, rollbackImport, updateItem } from '../lib/store.js';
+import { buildLabels } from '../lib/labels.js';
+import { fingerprintItem, reconcileItems } from '../lib/reconcile.js';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-test-'));
+
+before(() => openStore(path.join(dataDir, 'inventory.sqlite')));
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+function extracted(fields) {
+  const item = { id: 'csv_0', project: 'Torre Norte', itemName: 'Taladro', category: 'Power Tools', condition: 'Good', quantity: 1, ...fields };
+  return { ...item, fingerprint: fingerprintItem(item) };
+}
+
+// Reconcile against the store and commit, as POST /imports does
+function importItems(items) {
+  const stored = findItemsByFingerprint(items.map(item => item.fingerprint));
+  const { items: reconciled } = reconcileItems(items, stored);
+  return createImport({ filename: 'inventario.csv', projectName: 'Torre Norte', service: 'Local CSV parser', items: reconciled });
+}
+
+test('a re-import writes brand, model, serial number, supplier and specifications', async () => {
+  await importItems([extracted({ brand: 'Bosch', model: 'GSB 18V', supplier: 'Ferretería Sur' })]);
+  const [stored] = listItems().items;
+
+  const incoming = extracted({ brand: 'Bosch', model: 'GSB 18V', serialNumber: 'SN-1234', specifications: '18 V' });
+  const [reconciled] = reconcileItems([incoming], findItemsByFingerprint([incoming.fingerprint])).items;
+  assert.equal(reconciled.match.status, 'updated');
+  assert.deepEqual(reconciled.match.diff.map(change => change.field), ['serialNumber', 'supplier', 'specifications']);
+
+  await importItems([incoming]);
+  const updated = getItem(stored.id);
+  assert.equal(updated.serialNumber, 'SN-1234');
+  assert.equal(updated.specifications, '18 V');
+  assert.equal(updated.supplier, undefined);
+  assert.equal(updated.fingerprint.serialKey, 'SN1234');
+
+  // Found by its serial number from now on, so a corrected model is an update
+  const corrected = extracted({ brand: 'Bosch', model: 'GSB 18V-55', serialNumber: 'SN-1234', specifications: '18 V' });
+  const [again] = reconcileItems([corrected], findItemsByFingerprint([corrected.fingerprint])).items;
+  assert.equal(again.match.existingItemId, stored.id);
+  assert.deepEqual(again.match.diff.map(change => change.field), ['model']);
+
+  const reimport = await importItems([corrected]);
+  assert.equal(getItem(stored.id).model, 'GSB 18V-55');
+  assert.equal(getItem(stored.id).fingerprint.identityKey, corrected.fingerprint.identityKey);
+
+  await rollbackImport(reimport.id);
+  const restored = getItem(stored.id);
+  assert.equal(restored.model, 'GSB 18V');
+  assert.equal(restored.serialNumber, 'SN-1234');
+  assert.equal(restored.fingerprint.identityKey, stored.fingerprint.identityKey);
+});
+
+test('asset ids on tags survive a transfer and the next inventory of the new site', async () => {
+  const ladder = extracted({ id: 'csv_7', itemName: 'Escalera', category: 'Access Equipment', quantity: 3, assetId: 'AST-ESCALERA' });
+  const record = await importItems([ladder]);
+  const [stored] = listItems({ importId: record.id }).items;
+  assert.equal(stored.assetId, 'AST-ESCALERA');
+  assert.equal(stored.unitAssetIds.length, 3);
+  const tags = buildLabels([stored]).map(label => label.assetId);
+  assert.deepEqual(tags, stored.unitAssetIds);
+
+  await moveItem(stored.id, { action: 'transfer', project: 'Torre Sur', location: null, custodian: null, condition: 'Good' });
+  const moved = getItem(stored.id);
+  assert.deepEqual(buildLabels([moved]).map(label => label.assetId), tags);
+
+  const listed = extracted({ id: 'csv_0', project: 'Torre Sur', itemName: 'Escalera', category: 'Access Equipment', quantity: 4, assetId: 'AST-OTHER' });
+  const [found] = reconcileItems([listed], findItemsByFingerprint([listed.fingerprint])).items;
+  assert.equal(found.match.existingItemId, stored.id);
+  assert.equal(found.assetId, 'AST-ESCALERA');
+  const grown = buildLabels([found]).map(label => label.assetId);
+  assert.deepEqual(grown.slice(0, 3), tags);
+  assert.equal(new Set(grown).size, 4);
+});
+
+test('rolling back keeps items that were moved since, with their history', async () => {
+  const record = await importItems([
+    extracted({ id: 'csv_0', project: 'Nave Este', itemName: 'Generador', brand: 'Honda' }),
+    extracted({ id: 'csv_1', project: 'Nave Este', itemName: 'Hormigonera', brand: 'Imer' })
+  ]);
+  const [generator, mixer] = ['Generador', 'Hormigonera'].map(name => listItems({ importId: record.id }).items.find(item => item.itemName === name));
+  await moveItem(generator.id, { action: 'check_out', project: 'Nave Este', location: 'Furgoneta 2', custodian: 'Luis', condition: 'Good' });
+
+  assert.deepEqual(listMovedItems(record.id).map(item => [item.itemName, item.change, item.reason]), [['Generador', 'created', 'moved']]);
+  await assert.rejects(rollbackImport(record.id), /1 item\(s\) from this import were moved/);
+  assert.ok(getItem(mixer.id));
+
+  await rollbackImport(record.id, { keepMoved: true });
+  assert.equal(getItem(mixer.id), null);
+  assert.equal(getItem(generator.id).custodian, 'Luis');
+  assert.deepEqual(listMovements({ itemId: generator.id }).map(movement => movement.action), ['check_out', 'registered']);
+});
+
+test('rolling back leaves items a later import changed with that import\'s values', async () => {
+  const first = await importItems([
+    extracted({ id: 'csv_0', project: 'Nave Oeste', itemName: 'Compresor', brand: 'Atlas', model: 'C-10', serialNumber: 'AC-778' }),
+    extracted({ id: 'csv_1', project: 'Nave Oeste', itemName: 'Andamio', brand: 'Layher' })
+  ]);
+  const compressor = listItems({ importId: first.id }).items.find(item => item.itemName === 'Compresor');
+  const second = await importItems([extracted({ id: 'csv_0', project: 'Nave Oeste', itemName: 'Compresor', brand: 'Atlas', model: 'C-12', serialNumber: 'AC-778' })]);
+  assert.equal(getItem(compressor.id).model, 'C-12');
+
+  assert.deepEqual(listMovedItems(first.id).map(item => [item.itemName, item.change, item.reason]), [['Compresor', 'created', 'reimported']]);
+  await assert.rejects(rollbackImport(first.id), /1 item\(s\) from this import were moved or changed by a later import/);
+
+  await rollbackImport(first.id, { keepMoved: true });
+  assert.equal(getItem(compressor.id).model, 'C-12');
+  assert.equal(listItems({ project: 'Nave Oeste' }).items.length, 1);
+
+  // Once the later import is undone as well, nothing is held back
+  await rollbackImport(second.id);
+  assert.equal(getItem(compressor.id).model, 'C-10');
+});
+
+test('editing an item writes attributes kept in its details and refreshes its keys', async () => {
+  const record = await importItems([extracted({ id: 'csv_0', project: 'Nave Sur', itemName: 'Radial', brand: 'Makita', supplier: 'Ferretería Sur' })]);
+  const [stored] = listItems({ importId: record.id }).items;
+
+  const updated = await updateItem(stored.id, { serialNumber: 'GA-5040', supplier: null, model: 'GA5040', itemName: 'Amoladora' });
+  assert.deepEqual([updated.itemName, updated.brand, updated.model, updated.serialNumber, updated.supplier], ['Amoladora', 'Makita', 'GA5040', 'GA-5040', undefined]);
+  assert.equal(updated.assetId, stored.assetId);
+
+  const incoming = extracted({ project: 'Nave Sur', itemName: 'Amoladora angular', serialNumber: 'GA 5040' });
+  assert.equal(findItemsByFingerprint([incoming.fingerprint])[0].id, stored.id);
+});
@@ -0,0 +1,108 @@
+import test, { before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadValidationRules, getValidationRules, validateItems } from '../lib/validation.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-test-'));
+const CONTEXT = { categories: ['Power Tools', 'Safety Equipment'], conditions: ['New', 'Good', 'Fair', 'Poor'] };
+
+before(() => mock.method(console, 'log', () => {}));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeConfig(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+function item(fields) {
+  return { id: 'csv_0', itemName: 'Taladro', project: 'Torre Norte', category: 'Power Tools', condition: 'Good', quantity: 1, ...fields };
+}
+
+function issuesOf(validated) {
+  return validated.validationIssues.map(issue => [issue.rule, issue.field, issue.severity]);
+}
+
+test('each rule reports with the severity configured for it', () => {
+  loadValidationRules();
+  const nextYear = new Date().getFullYear() + 1;
+  const { items } = validateItems([
+    item({ id: 'csv_0', itemName: '', project: null }),
+    item({ id: 'csv_1', purchaseDate: `${nextYear}-01-01` }),
+    item({ id: 'csv_2', purchaseDate: '1931-05-01' }),
+    item({ id: 'csv_3', serialNumber: 'ABC-DEF' }),
+    item({ id: 'csv_4', quantity: -2 }),
+    item({ id: 'csv_5', quantity: 2.5 }),
+    item({ id: 'csv_6', category: 'Juguetes' }),
+    item({ id: 'csv_7', condition: null, conditionRaw: 'para revisar' }),
+    item({ id: 'csv_8', serialNumber: 'SN-1234' }),
+    item({ id: 'csv_9', serialNumber: 'sn 1234' })
+  ], CONTEXT);
+
+  assert.deepEqual(items.map(issuesOf), [
+    [['required-fields', 'itemName', 'error'], ['required-fields', 'project', 'error']],
+    [['purchase-date-future', 'purchaseDate', 'error']],
+    [['purchase-date-too-old', 'purchaseDate', 'warning']],
+    [['serial-number-format', 'serialNumber', 'warning']],
+    [['quantity-negative', 'quantity', 'error']],
+    [['quantity-not-integer', 'quantity', 'warning']],
+    [['unknown-category', 'category', 'error']],
+    [['unrecognized-condition', 'condition', 'warning']],
+    [],
+    [['duplicate-serial', 'serialNumber', 'warning']]
+  ]);
+  assert.match(items[9].validationIssues[0].message, /also appears on Taladro \(csv_8\)/);
+});
+
+test('the summary counts by severity and blocks the import on errors', () => {
+  loadValidationRules();
+  const { summary } = validateItems([item({ id: 'csv_0', quantity: -1 }), item({ id: 'csv_1', quantity: 1.5 }), item({ id: 'csv_2' })], CONTEXT);
+
+  assert.equal(summary.errors, 1);
+  assert.equal(summary.warnings, 1);
+  assert.equal(summary.itemsWithErrors, 1);
+  assert.equal(summary.itemsWithIssues, 2);
+  assert.deepEqual(summary.byRule, {
+    'quantity-negative': { severity: 'error', count: 1 },
+    'quantity-not-integer': { severity: 'warning', count: 1 }
+  });
+  assert.equal(summary.canImport, false);
+});
+
+test('a config can change severities, turn rules off and allow imports with errors', () => {
+  loadValidationRules(writeConfig('rules.yaml', [
+    'blockImportOnErrors: false',
+    'rules:',
+    '  quantity-negative: { severity: info }',
+    '  quantity-not-integer: { severity: "off" }',
+    '  required-fields: { fields: [itemName, serialNumber] }'
+  ].join('\n')));
+
+  assert.deepEqual(getValidationRules(), [
+    { id: 'quantity-negative', severity: 'info' },
+    { id: 'required-fields', severity: 'error' }
+  ]);
+  const { items, summary } = validateItems([item({ quantity: -1.5 })], CONTEXT);
+  assert.deepEqual(issuesOf(items[0]), [['quantity-negative', 'quantity', 'info'], ['required-fields', 'serialNumber', 'error']]);
+  assert.equal(summary.info, 1);
+  assert.equal(summary.canImport, true);
+});
+
+test('re-running replaces rule issues and keeps parsing issues', () => {
+  loadValidationRules();
+  const parsing = { field: 'purchaseDate', message: 'Only a year was given', severity: 'warning' };
+  const first = validateItems([item({ quantity: -1, validationIssues: [parsing] })], CONTEXT).items[0];
+  const second = validateItems([{ ...first, quantity: 3 }], CONTEXT).items[0];
+
+  assert.deepEqual(second.validationIssues, [parsing]);
+  assert.deepEqual(validateItems([second], CONTEXT).summary.byRule, { parsing: { severity: 'warning', count: 1 } });
+});
+
+test('unknown rules and severities are refused', () => {
+  assert.throws(() => loadValidationRules(writeConfig('unknown.json', JSON.stringify({ rules: { 'price-positive': {} } }))),
+    /Unknown validation rule "price-positive"/);
+  assert.throws(() => loadValidationRules(writeConfig('severity.json', JSON.stringify({ rules: { 'quantity-negative': { severity: 'fatal' } } }))),
+    /invalid severity "fatal"/);
+});